@@ -7,6 +7,7 @@
  */
 
 const DataCollector = require('../src/collector');
+const { detectLanguage } = require('../src/languages');
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -62,16 +63,8 @@ function logFromGit() {
     // Detect languages from file extensions
     const languages = new Set();
     changedFiles.forEach(file => {
-      const ext = path.extname(file).slice(1);
-      const langMap = {
-        js: 'JavaScript',
-        ts: 'TypeScript',
-        py: 'Python',
-        go: 'Go',
-        rs: 'Rust',
-        java: 'Java'
-      };
-      if (langMap[ext]) languages.add(langMap[ext]);
+      const language = detectLanguage(file);
+      if (language) languages.add(language);
     });
 
     collector.recordSession({
@@ -155,15 +148,8 @@ function watchAndLog() {
 
       const languages = new Set();
       Array.from(filesChanged).forEach(file => {
-        const ext = path.extname(file).slice(1);
-        const langMap = {
-          js: 'JavaScript',
-          ts: 'TypeScript',
-          py: 'Python',
-          go: 'Go',
-          rs: 'Rust'
-        };
-        if (langMap[ext]) languages.add(langMap[ext]);
+        const language = detectLanguage(file);
+        if (language) languages.add(language);
       });
 
       collector.recordSession({
@@ -0,0 +1,229 @@
+const path = require('path');
+
+/**
+ * Bash command analytics: program names, categories and test runners
+ *
+ * Commands are split on pipes, &&, ||, ; and newlines. Leading environment
+ * assignments and wrappers such as sudo, env or npx are skipped so that
+ * `sudo FOO=1 npx jest` counts as jest.
+ */
+
+const CATEGORIES = {
+  'Git': ['git', 'gh', 'hub', 'tig'],
+  'Package Managers': [
+    'npm', 'yarn', 'pnpm', 'bun', 'pip', 'pip3', 'pipx', 'poetry', 'uv', 'conda',
+    'gem', 'bundle', 'composer', 'brew', 'apt', 'apt-get', 'dnf', 'yum', 'apk', 'pacman'
+  ],
+  'Test Runners': [
+    'jest', 'vitest', 'mocha', 'ava', 'tap', 'jasmine', 'karma', 'pytest', 'tox', 'nox',
+    'rspec', 'phpunit', 'playwright', 'cypress'
+  ],
+  'Build Tools': [
+    'make', 'cmake', 'ninja', 'bazel', 'tsc', 'webpack', 'vite', 'esbuild', 'rollup',
+    'parcel', 'turbo', 'nx', 'gradle', 'gradlew', 'mvn', 'cargo', 'go', 'rustc', 'gcc',
+    'g++', 'clang', 'javac', 'dotnet', 'swift', 'xcodebuild'
+  ],
+  'Containers': ['docker', 'docker-compose', 'podman', 'kubectl', 'helm', 'kind', 'minikube', 'k9s'],
+  'File Ops': [
+    'ls', 'cat', 'cp', 'mv', 'rm', 'mkdir', 'rmdir', 'touch', 'find', 'grep', 'rg', 'sed',
+    'awk', 'head', 'tail', 'wc', 'chmod', 'chown', 'ln', 'tree', 'du', 'df', 'sort',
+    'uniq', 'diff', 'tar', 'zip', 'unzip', 'cd', 'pwd', 'echo', 'xxd', 'file', 'stat'
+  ],
+  'Runtimes': ['node', 'deno', 'python', 'python3', 'ruby', 'php', 'java', 'perl', 'tsx', 'ts-node'],
+  'Network': ['curl', 'wget', 'ssh', 'scp', 'rsync', 'ping', 'nc', 'http']
+};
+
+const PROGRAM_CATEGORIES = {};
+for (const [category, programs] of Object.entries(CATEGORIES)) {
+  programs.forEach(program => { PROGRAM_CATEGORIES[program] = category; });
+}
+
+const TEST_RUNNERS = new Set(CATEGORIES['Test Runners']);
+
+// Programs that run another program; their own flags are skipped
+const WRAPPERS = new Set(['sudo', 'env', 'time', 'nohup', 'nice', 'exec', 'command', 'npx', 'bunx', 'xargs', 'timeout', 'stdbuf']);
+
+// Wrapper flags that take a separate argument
+const WRAPPER_ARG_FLAGS = new Set(['-u', '-g', '-n', '-C', '-I', '-P', '-s', '-k']);
+
+const SHELL_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'do', 'while', 'until', '!', '{', '(']);
+const SKIPPED_STATEMENTS = new Set(['fi', 'done', 'esac', 'for', 'case', 'function', '}', ')', '[', '[[']);
+
+const ENV_ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*=/;
+const COMMAND_SUBSTITUTION = /\$\((?:[^()]|\([^()]*\))*\)/g;
+const HEREDOC_START = /<<-?\s*['"]?([A-Za-z_][A-Za-z0-9_]*)['"]?/;
+
+/**
+ * Remove heredoc bodies so their lines are not mistaken for commands
+ */
+function stripHeredocs(command) {
+  const kept = [];
+  let delimiter = null;
+
+  for (const line of command.split('\n')) {
+    if (delimiter) {
+      if (line.trim() === delimiter) delimiter = null;
+      continue;
+    }
+
+    kept.push(line);
+    const match = line.match(HEREDOC_START);
+    if (match) delimiter = match[1];
+  }
+
+  return kept.join('\n');
+}
+
+/**
+ * Split a command line into simple commands on |, ||, &&, ;, & and newlines,
+ * leaving quoted text, command substitutions and redirections such as 2>&1
+ * intact
+ */
+function splitSegments(command) {
+  const segments = [];
+  let current = '';
+  let quote = null;
+  let substitutionDepth = 0;
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+
+    if (quote) {
+      current += ch;
+      if (ch === quote && command[i - 1] !== '\\') quote = null;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch;
+      current += ch;
+      continue;
+    }
+
+    // Command substitutions belong to the command that uses them
+    if (ch === '$' && command[i + 1] === '(') {
+      substitutionDepth++;
+      current += ch + command[++i];
+      continue;
+    }
+    if (substitutionDepth > 0) {
+      if (ch === '(') substitutionDepth++;
+      if (ch === ')') substitutionDepth--;
+      current += ch;
+      continue;
+    }
+
+    const isRedirect = ch === '&' && (command[i - 1] === '>' || command[i + 1] === '>');
+    if ((ch === '|' || ch === ';' || ch === '&' || ch === '\n') && !isRedirect) {
+      segments.push(current);
+      current = '';
+      if (command[i + 1] === ch || (ch === '|' && command[i + 1] === '&')) i++;
+      continue;
+    }
+
+    current += ch;
+  }
+
+  segments.push(current);
+  return segments.map(segment => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Split a simple command into words, removing quotes
+ */
+function splitWords(segment) {
+  const words = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(segment)) !== null) {
+    words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return words;
+}
+
+/**
+ * Find the program a simple command runs, as { program, args }, or null
+ */
+function parseSimpleCommand(segment) {
+  const words = splitWords(segment
+    .replace(COMMAND_SUBSTITUTION, '$SUB')
+    .replace(/^[({]\s*/, '')
+    .replace(/\s*[)}]$/, ''));
+  let i = 0;
+
+  while (i < words.length) {
+    const word = words[i];
+
+    if (SKIPPED_STATEMENTS.has(word)) return null;
+
+    if (SHELL_KEYWORDS.has(word) || ENV_ASSIGNMENT.test(word)) {
+      i++;
+      continue;
+    }
+
+    const program = path.basename(word);
+
+    if (WRAPPERS.has(program)) {
+      i++;
+      while (i < words.length && (words[i].startsWith('-') || ENV_ASSIGNMENT.test(words[i]))) {
+        i += WRAPPER_ARG_FLAGS.has(words[i]) ? 2 : 1;
+      }
+      // timeout's first argument is the duration
+      if (program === 'timeout') i++;
+      continue;
+    }
+
+    if (!program || program.startsWith('$') || program.startsWith('-')) return null;
+
+    return { program, args: words.slice(i + 1) };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a Bash tool command into the simple commands it runs; anything
+ * other than a string has none
+ */
+function parseCommand(command) {
+  if (typeof command !== 'string') return [];
+
+  return splitSegments(stripHeredocs(command))
+    .map(parseSimpleCommand)
+    .filter(Boolean);
+}
+
+/**
+ * Category of a program name, e.g. 'Git' or 'Build Tools'
+ */
+function categorizeProgram(program) {
+  return PROGRAM_CATEGORIES[program] || 'Other';
+}
+
+/**
+ * Name of the test runner a simple command invokes, or null
+ */
+function detectTestRunner({ program, args }) {
+  if (TEST_RUNNERS.has(program)) return program;
+
+  const subcommand = args.find(arg => !arg.startsWith('-'));
+
+  if (['npm', 'yarn', 'pnpm', 'bun'].includes(program)) {
+    if (subcommand === 'test' || subcommand === 't') return `${program} test`;
+    if (subcommand === 'run' && /^test/.test(args[args.indexOf('run') + 1] || '')) return `${program} test`;
+  }
+
+  if (['go', 'cargo', 'dotnet', 'deno', 'mix', 'make'].includes(program) && subcommand === 'test') {
+    return `${program} test`;
+  }
+
+  if ((program === 'python' || program === 'python3') && args[0] === '-m' && TEST_RUNNERS.has(args[1])) {
+    return args[1];
+  }
+
+  return null;
+}
+
+module.exports = { parseCommand, categorizeProgram, detectTestRunner, CATEGORIES };
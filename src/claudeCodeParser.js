@@ -1,6 +1,154 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const WorkerPool = require('./workerPool');
+const { countToolLineChanges, getReplaceAllEdits, countResultLineChanges } = require('./lineDiff');
+const { parseCommand, categorizeProgram, detectTestRunner } = require('./bashCommands');
+const { parseSlashCommand } = require('./slashCommands');
+const { getDomain, normalizeQuery } = require('./webResearch');
+const { createFileEntry, addFileEntry } = require('./fileLedger');
+const { LanguageDetector, loadLanguages } = require('./languages');
+const { ProjectResolver, expandHome, relativeToProject } = require('./projects');
+const { ZonedCalendar } = require('./timeZone');
+const { SessionCache, getCacheDir } = require('./sessionCache');
+const { createLinkState, trackLinks, finalizeLinks, findCopiedHistory, createConversationIndex, addConversationFile, linkConversations, summarizeConversations } = require('./conversations');
+const { createFileDiagnostics, recordProblem, checkEventType, createDiagnosticsReport, addFileDiagnostics } = require('./diagnostics');
+
+// Bump when analyzeEvent changes what it records, to invalidate cached sessions
+const CACHE_VERSION = 1;
+
+// Gaps between events longer than this end a work burst
+const DEFAULT_IDLE_THRESHOLD_MINUTES = 30;
+
+// Bytes read at a time when looking at the start or end of a session file
+const BOUNDS_CHUNK_BYTES = 64 * 1024;
+
+const TIMESTAMP_PATTERN = /"timestamp"\s*:\s*"([^"]+)"/g;
+
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+
+// Ledger column each file tool counts towards
+const FILE_ACTIVITY = {
+  Read: 'reads',
+  NotebookRead: 'reads',
+  Edit: 'edits',
+  MultiEdit: 'edits',
+  NotebookEdit: 'edits',
+  Write: 'writes'
+};
+
+// Tools that delegate work to a sub-agent
+const SUBAGENT_TOOLS = new Set(['Task', 'Agent']);
+
+// How Claude Code words a tool call the user declined
+const REJECTION_MARKERS = ["doesn't want to proceed with this tool use", 'tool use was rejected', 'User rejected tool use'];
+
+/**
+ * Create an empty set of token counters
+ */
+function createTokenCounts() {
+  return {
+    input: 0,
+    output: 0,
+    cacheCreation: 0,
+    cacheRead: 0
+  };
+}
+
+/**
+ * Add token counters from source into target
+ */
+function addTokenCounts(target, source) {
+  target.input += source.input || 0;
+  target.output += source.output || 0;
+  target.cacheCreation += source.cacheCreation || 0;
+  target.cacheRead += source.cacheRead || 0;
+  return target;
+}
+
+/**
+ * Create empty success/error/rejected counters for tool results
+ */
+function createOutcomeCounts() {
+  return { success: 0, error: 0, rejected: 0 };
+}
+
+/**
+ * Add tool result counters from source into target
+ */
+function addOutcomeCounts(target, source) {
+  target.success += source.success;
+  target.error += source.error;
+  target.rejected += source.rejected;
+}
+
+/**
+ * Text of a tool_result block, whose content is a string or a list of blocks
+ */
+function getToolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(block => (block && block.text) || '').join('\n');
+}
+
+/**
+ * Whether a tool_result reports success, an error or a rejection by the
+ * user. Only error results are searched for the rejection markers, so a
+ * successful result that merely quotes one still counts as a success.
+ */
+function getToolOutcome(item, event) {
+  if (REJECTION_MARKERS.includes(event.toolUseResult)) return 'rejected';
+  if (!item.is_error) return 'success';
+
+  const text = getToolResultText(item.content);
+  return REJECTION_MARKERS.some(marker => text.includes(marker)) ? 'rejected' : 'error';
+}
+
+/**
+ * Last valid event timestamp in an open file, read backwards from its end
+ * in growing windows
+ */
+function readLastTimestamp(fd, size) {
+  let length = Math.min(BOUNDS_CHUNK_BYTES, size);
+
+  while (length > 0) {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+
+    let last = null;
+    for (const match of buffer.toString('utf8').matchAll(TIMESTAMP_PATTERN)) {
+      if (!isNaN(Date.parse(match[1]))) last = match[1];
+    }
+    if (last || length === size) return last;
+
+    length = Math.min(length * 2, size);
+  }
+
+  return null;
+}
+
+/**
+ * Whether a user message is a prompt the user wrote, rather than tool
+ * results sent back to the model
+ */
+function isPrompt(message) {
+  if (!message) return false;
+  if (typeof message.content === 'string') return message.content.trim().length > 0;
+  if (!Array.isArray(message.content)) return false;
+  return message.content.some(block => block && (block.type === 'text' || block.type === 'image')) &&
+    !message.content.some(block => block && block.type === 'tool_result');
+}
+
+/**
+ * Claude data directories to read: CLAUDE_CONFIG_DIR (several may be joined
+ * with the platform path delimiter), otherwise ~/.claude
+ */
+function getDefaultClaudeDirs() {
+  if (process.env.CLAUDE_CONFIG_DIR) {
+    return process.env.CLAUDE_CONFIG_DIR.split(path.delimiter).filter(Boolean);
+  }
+  return [path.join(os.homedir(), '.claude')];
+}
 
 /**
  * Parser for Claude Code session JSONL files
@@ -8,25 +156,77 @@ const os = require('os');
  */
 
 class ClaudeCodeParser {
-  constructor() {
-    this.claudeDir = path.join(os.homedir(), '.claude');
-    this.projectsDir = path.join(this.claudeDir, 'projects');
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.claudeDirs] - Claude data directories, e.g. copied from other machines
+   * @param {CostEstimator} [options.costEstimator] - Adds cost estimates to the aggregate
+   * @param {Object} [options.projectAliases] - Project name to path(s), see ProjectResolver
+   * @param {Object} [options.languages] - Language tables from loadLanguages (default: bundled plus languages.json)
+   * @param {number} [options.idleThresholdMinutes] - Idle gap that splits work bursts
+   * @param {string} [options.timeZone] - IANA time zone for day, hour and year buckets
+   * @param {Object} [options.cache] - Enables the session cache: { dir, rebuild }
+   * @param {number} [options.jobs] - Worker threads used to parse session files (default: 1)
+   */
+  constructor(options = {}) {
+    this.claudeDirs = (options.claudeDirs && options.claudeDirs.length > 0 ? options.claudeDirs : getDefaultClaudeDirs())
+      .map(dir => path.resolve(expandHome(dir)));
+    this.projectsDirs = this.claudeDirs.map(dir =>
+      // Accept a projects directory itself as well as its parent
+      path.basename(dir) === 'projects' && !fs.existsSync(path.join(dir, 'projects')) ? dir : path.join(dir, 'projects')
+    );
+    this.costEstimator = options.costEstimator || null;
+    this.projectAliases = options.projectAliases || {};
+    this.projectResolver = new ProjectResolver(this.projectAliases);
+    this.languages = options.languages || loadLanguages();
+    this.languageDetector = new LanguageDetector(this.languages);
+    this.idleThresholdMs = (options.idleThresholdMinutes || DEFAULT_IDLE_THRESHOLD_MINUTES) * 60 * 1000;
+    this.calendar = new ZonedCalendar(options.timeZone);
+    this.cache = options.cache
+      ? new SessionCache(options.cache.dir || getCacheDir(), this.getCacheFingerprint(), options.cache)
+      : null;
+    this.jobs = Math.max(1, options.jobs || 1);
   }
 
   /**
-   * Find all session JSONL files
+   * Options for the parsers running in worker threads. Only what
+   * analyzeEvent needs; the cache and cost estimator stay on the main thread.
    */
-  findSessionFiles() {
+  getWorkerOptions() {
+    return {
+      projectAliases: this.projectAliases,
+      languages: this.languages,
+      idleThresholdMinutes: this.idleThresholdMs / 60 / 1000,
+      timeZone: this.calendar.timeZone
+    };
+  }
+
+  /**
+   * Identifies everything cached analyzer state depends on
+   */
+  getCacheFingerprint() {
+    return JSON.stringify({
+      version: CACHE_VERSION,
+      timeZone: this.calendar.timeZone,
+      idleThresholdMs: this.idleThresholdMs,
+      languages: this.languages,
+      fields: Object.keys(this.createSessionState())
+    });
+  }
+
+  /**
+   * Find all session JSONL files in one projects directory
+   */
+  findSessionFilesIn(projectsDir) {
     const files = [];
 
-    if (!fs.existsSync(this.projectsDir)) {
+    if (!fs.existsSync(projectsDir)) {
       return files;
     }
 
-    const projectDirs = fs.readdirSync(this.projectsDir);
+    const projectDirs = fs.readdirSync(projectsDir);
 
     for (const projectDir of projectDirs) {
-      const projectPath = path.join(this.projectsDir, projectDir);
+      const projectPath = path.join(projectsDir, projectDir);
       const stat = fs.statSync(projectPath);
 
       if (stat.isDirectory()) {
@@ -34,8 +234,10 @@ class ClaudeCodeParser {
           .filter(f => f.endsWith('.jsonl'))
           .map(f => ({
             path: path.join(projectPath, f),
-            project: projectDir.replace(/-/g, '/').substring(1), // Convert back to path
-            sessionId: f.replace('.jsonl', '')
+            // Encoded cwd; only used when the session's events carry no cwd
+            projectDir,
+            sessionId: f.replace('.jsonl', ''),
+            size: fs.statSync(path.join(projectPath, f)).size
           }));
 
         files.push(...jsonlFiles);
@@ -46,140 +248,750 @@ class ClaudeCodeParser {
   }
 
   /**
-   * Parse a JSONL file and extract events
+   * Find all session JSONL files across every Claude data directory.
+   * A session copied to several machines appears once: the largest copy
+   * is kept, as it has the most of the conversation.
    */
-  parseSessionFile(filePath) {
-    const events = [];
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.trim().split('\n');
-
-    for (const line of lines) {
-      if (line.trim()) {
-        try {
-          events.push(JSON.parse(line));
-        } catch (error) {
-          console.error(`Error parsing line: ${error.message}`);
+  findSessionFiles() {
+    const files = [];
+    const indexBySessionId = new Map();
+    this.duplicateSessionFiles = 0;
+
+    for (const projectsDir of this.projectsDirs) {
+      for (const file of this.findSessionFilesIn(projectsDir)) {
+        const index = indexBySessionId.get(file.sessionId);
+
+        if (index === undefined) {
+          indexBySessionId.set(file.sessionId, files.length);
+          files.push(file);
+          continue;
+        }
+
+        this.duplicateSessionFiles++;
+        if (file.size > files[index].size) {
+          files[index] = file;
         }
       }
     }
 
+    return files;
+  }
+
+  /**
+   * Stream the lines of a JSONL file starting at byte offset start, so memory
+   * use does not grow with the size of the transcript. Each line comes with
+   * the byte offset just past it and whether it ended in a newline.
+   */
+  async *readSessionLines(filePath, start = 0) {
+    const input = fs.createReadStream(filePath, { start });
+    let chunkStart = start;
+    let pending = [];
+
+    for await (const chunk of input) {
+      let lineStart = 0;
+      let newline;
+
+      while ((newline = chunk.indexOf(0x0a, lineStart)) !== -1) {
+        pending.push(chunk.subarray(lineStart, newline));
+        yield {
+          text: Buffer.concat(pending).toString('utf8'),
+          end: chunkStart + newline + 1,
+          terminated: true
+        };
+        pending = [];
+        lineStart = newline + 1;
+      }
+
+      if (lineStart < chunk.length) {
+        pending.push(chunk.subarray(lineStart));
+      }
+      chunkStart += chunk.length;
+    }
+
+    if (pending.length > 0) {
+      yield { text: Buffer.concat(pending).toString('utf8'), end: chunkStart, terminated: false };
+    }
+  }
+
+  /**
+   * Parse one JSONL line, returning null for blank or malformed lines.
+   * Malformed lines are reported to onProblem(kind, message) if given.
+   */
+  parseLine(line, onProblem = null) {
+    if (!line.trim()) return null;
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      if (onProblem) onProblem('invalid-json', error.message);
+      return null;
+    }
+
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      if (onProblem) onProblem('not-an-object', `got ${event === null ? 'null' : Array.isArray(event) ? 'array' : typeof event}`);
+      return null;
+    }
+
+    return event;
+  }
+
+  /**
+   * Read what findCopiedHistory needs about a session file: the uuid of its
+   * first main-conversation message and its last timestamp. Only the lines
+   * up to that message and the end of the file are read.
+   */
+  readHistoryBounds(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      return { path: filePath, rootUuid: this.readRootUuid(fd, size), lastTimestamp: readLastTimestamp(fd, size) };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Uuid of the first main-conversation event in an open file, as trackLinks
+   * records it. Reading stops at the first event with a uuid: a file that
+   * starts with a sub-agent event is a sub-agent transcript and has no root.
+   */
+  readRootUuid(fd, size) {
+    const buffer = Buffer.alloc(BOUNDS_CHUNK_BYTES);
+    let pending = Buffer.alloc(0);
+
+    for (let position = 0; position <= size; position += BOUNDS_CHUNK_BYTES) {
+      const length = position < size ? fs.readSync(fd, buffer, 0, BOUNDS_CHUNK_BYTES, position) : 0;
+      pending = Buffer.concat([pending, buffer.subarray(0, length)]);
+
+      // The last line of the file may have no newline
+      const lines = [];
+      let newline;
+      while ((newline = pending.indexOf(0x0a)) !== -1) {
+        lines.push(pending.subarray(0, newline));
+        pending = pending.subarray(newline + 1);
+      }
+      if (length === 0) lines.push(pending);
+
+      for (const line of lines) {
+        const event = this.parseLine(line.toString('utf8'));
+        if (event && event.uuid) return event.isSidechain ? null : event.uuid;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * History bounds of a session file, from the cache while the file is
+   * unchanged. Sub-agent transcripts never continue a conversation and are
+   * not read.
+   */
+  getHistoryBounds(file, yearFilter) {
+    if (path.basename(file.path).startsWith('agent-')) {
+      return { path: file.path, rootUuid: null, lastTimestamp: null };
+    }
+    if (!this.cache) return this.readHistoryBounds(file.path);
+
+    const stat = fs.statSync(file.path);
+    const cached = this.cache.lookupBounds(file.path, yearFilter, stat);
+    if (cached) return cached;
+
+    const bounds = this.readHistoryBounds(file.path);
+    this.cache.storeBounds(file.path, yearFilter, stat, bounds);
+    return bounds;
+  }
+
+  /**
+   * Stream events from a JSONL file one line at a time
+   */
+  async *streamSessionEvents(filePath) {
+    for await (const { text } of this.readSessionLines(filePath)) {
+      const event = this.parseLine(text);
+      if (event) yield event;
+    }
+  }
+
+  /**
+   * Parse a JSONL file and extract events
+   */
+  async parseSessionFile(filePath) {
+    const events = [];
+
+    for await (const event of this.streamSessionEvents(filePath)) {
+      events.push(event);
+    }
+
     return events;
   }
 
   /**
-   * Extract statistics from session events
+   * Create an empty per-session accumulator for analyzeEvent. With a
+   * yearFilter, only events from that calendar year are counted; with
+   * copiedUntil (ms), only events after that time.
    */
-  analyzeSession(events) {
-    const stats = {
+  createSessionState(yearFilter = null, copiedUntil = null) {
+    return {
+      yearFilter,
+      copiedUntil,
+      diagnostics: createFileDiagnostics(),
       sessionId: null,
+      links: createLinkState(),
       project: null,
+      projectRoot: null,
+      cwd: null,
       startTime: null,
       endTime: null,
       duration: 0,
+      activeDuration: 0,
+      bursts: 0,
+      lastEventTime: null,
       messageCount: 0,
       userMessages: 0,
       assistantMessages: 0,
-      toolCalls: [],
       toolUsage: {},
       filesAccessed: new Set(),
       filesModified: new Set(),
       filesCreated: new Set(),
-      bashCommands: [],
+      commandUsage: {},
+      commandCategories: {},
+      testRuns: {},
+      slashCommands: {},
+      sidechain: { events: 0, messages: 0, toolCalls: 0, tokens: createTokenCounts() },
+      subagents: {},
+      sidechainOnly: false,
+      pendingToolUses: {},
+      pendingEdits: {},
+      pendingTasks: {},
+      toolOutcomes: {},
+      toolOutcomesByWeek: {},
       gitBranch: null,
+      branches: {},
+      turns: { byModel: {}, longest: null },
+      currentTurn: null,
+      todos: {},
+      webResearch: { fetches: {}, searches: 0, queries: {} },
+      compaction: { count: 0, manual: 0, auto: 0, summaries: 0, preTokens: 0, intervals: [], lastActive: 0, awaitingSummary: false },
       languages: new Set(),
-      thinkingBlocks: 0
+      thinkingBlocks: 0,
+      linesAdded: 0,
+      linesRemoved: 0,
+      fileActivity: {},
+      linesByLanguage: {},
+      tokens: createTokenCounts(),
+      monthlyUsage: {},
+      lastMessageKey: null,
+      eventCount: 0
     };
+  }
+
+  /**
+   * Fold a single event into a session accumulator
+   */
+  analyzeEvent(stats, event) {
+    if (!stats.sessionId && event.sessionId) stats.sessionId = event.sessionId;
+    if (!stats.cwd && event.cwd) stats.cwd = event.cwd;
+
+    // Links to resumed files are needed whatever year they fall in
+    trackLinks(stats.links, event);
+
+    // A timestamp that does not parse would make the calendar throw; such
+    // events are treated as untimed
+    if (event.timestamp && (typeof event.timestamp !== 'string' || isNaN(Date.parse(event.timestamp)))) {
+      event = { ...event, timestamp: undefined };
+    }
 
-    if (events.length === 0) return stats;
+    // Sessions resumed across New Year only count the events of the year
+    // being wrapped; untimed events such as summaries always pass
+    if (stats.yearFilter && event.timestamp &&
+        this.calendar.parts(event.timestamp).year !== stats.yearFilter) {
+      return;
+    }
 
-    stats.sessionId = events[0].sessionId;
-    stats.project = events[0].cwd;
-    stats.gitBranch = events[0].gitBranch;
-    stats.startTime = events[0].timestamp;
-    stats.endTime = events[events.length - 1].timestamp;
+    // History copied from an earlier file was counted there
+    if (stats.copiedUntil && event.timestamp && Date.parse(event.timestamp) <= stats.copiedUntil) {
+      return;
+    }
 
-    const start = new Date(stats.startTime);
-    const end = new Date(stats.endTime);
-    stats.duration = Math.floor((end - start) / 1000 / 60); // minutes
+    stats.eventCount++;
 
-    for (const event of events) {
-      // Count messages
-      if (event.type === 'user' && event.userType === 'external') {
-        stats.userMessages++;
-        stats.messageCount++;
-      } else if (event.type === 'assistant') {
-        stats.assistantMessages++;
-        stats.messageCount++;
+    if (!stats.gitBranch && event.gitBranch) stats.gitBranch = event.gitBranch;
+
+    let active = 0;
+    if (event.timestamp) {
+      if (!stats.startTime) stats.startTime = event.timestamp;
+      stats.endTime = event.timestamp;
+      active = this.trackActiveTime(stats, Date.parse(event.timestamp));
+    }
+
+    if (event.gitBranch) {
+      this.trackBranch(stats, event, active);
+    }
+
+    if (!event.isSidechain) {
+      this.trackCompaction(stats, event);
+    }
+
+    // Count messages; sub-agent (sidechain) events are kept apart from the
+    // main conversation, though their tokens still count
+    if (event.isSidechain) {
+      stats.sidechain.events++;
+      if (event.type === 'user' || event.type === 'assistant') {
+        stats.sidechain.messages++;
+      }
+      if (event.type === 'assistant') {
+        this.analyzeUsage(stats, event);
       }
+    } else if (event.type === 'user' && event.userType === 'external' && !event.isCompactSummary) {
+      stats.userMessages++;
+      stats.messageCount++;
 
-      // Analyze message content for tool uses
-      if (event.message && event.message.content && Array.isArray(event.message.content)) {
-        for (const item of event.message.content) {
-          // Track tool uses
-          if (item.type === 'tool_use') {
-            stats.toolCalls.push(item.name);
+      const command = parseSlashCommand(event.message);
+      if (command) {
+        stats.slashCommands[command] = (stats.slashCommands[command] || 0) + 1;
+      }
+    } else if (event.type === 'assistant') {
+      stats.assistantMessages++;
+      stats.messageCount++;
+      this.analyzeUsage(stats, event);
+    }
+
+    if (!event.isSidechain && event.timestamp) {
+      this.trackTurn(stats, event);
+    }
+
+    // Analyze message content for tool uses
+    if (event.message && event.message.content && Array.isArray(event.message.content)) {
+      for (const item of event.message.content) {
+        // Track tool uses
+        if (item.type === 'tool_use') {
+          if (item.id) stats.pendingToolUses[item.id] = item.name;
+
+          if (event.isSidechain) {
+            stats.sidechain.toolCalls++;
+          } else {
             stats.toolUsage[item.name] = (stats.toolUsage[item.name] || 0) + 1;
+          }
 
-            // Extract file information
-            if (item.input) {
-              if (item.input.file_path) {
-                stats.filesAccessed.add(item.input.file_path);
-
-                // Determine language from extension
-                const ext = path.extname(item.input.file_path).substring(1);
-                const langMap = {
-                  'js': 'JavaScript',
-                  'ts': 'TypeScript',
-                  'tsx': 'TypeScript',
-                  'jsx': 'JavaScript',
-                  'py': 'Python',
-                  'go': 'Go',
-                  'rs': 'Rust',
-                  'java': 'Java',
-                  'cpp': 'C++',
-                  'c': 'C',
-                  'rb': 'Ruby',
-                  'php': 'PHP',
-                  'swift': 'Swift',
-                  'kt': 'Kotlin',
-                  'cs': 'C#',
-                  'html': 'HTML',
-                  'css': 'CSS',
-                  'sh': 'Shell',
-                  'bash': 'Shell',
-                  'sql': 'SQL',
-                  'json': 'JSON',
-                  'yaml': 'YAML',
-                  'yml': 'YAML',
-                  'md': 'Markdown'
-                };
-
-                if (langMap[ext]) {
-                  stats.languages.add(langMap[ext]);
-                }
-              }
+          if (SUBAGENT_TOOLS.has(item.name) && item.input) {
+            this.recordSubagentRun(stats, item);
+          }
 
-              if (item.name === 'Write' || item.name === 'Edit') {
-                stats.filesModified.add(item.input.file_path);
-              }
+          if (item.name === 'TodoWrite' && item.input && !event.isSidechain) {
+            this.trackTodos(stats, item.input.todos);
+          }
+
+          // Research done by sub-agents counts too
+          if ((item.name === 'WebFetch' || item.name === 'WebSearch') && item.input) {
+            this.recordWebResearch(stats, item);
+          }
+
+          // Extract file information
+          if (item.input) {
+            const activityPath = item.input.file_path || item.input.notebook_path;
+            if (activityPath && FILE_ACTIVITY[item.name] === 'reads') {
+              this.getFileActivity(stats, activityPath).reads++;
+            } else if (activityPath && FILE_ACTIVITY[item.name] && item.id) {
+              this.recordPendingEdit(stats, item, activityPath);
+            }
+
+            if (item.input.file_path) {
+              stats.filesAccessed.add(item.input.file_path);
 
-              if (item.name === 'Bash' && item.input.command) {
-                stats.bashCommands.push(item.input.command);
+              const language = this.detectLanguage(item.input.file_path);
+              if (language) {
+                stats.languages.add(language);
               }
             }
-          }
 
-          // Count thinking blocks
-          if (item.type === 'thinking') {
-            stats.thinkingBlocks++;
+            if (item.name === 'Bash' && typeof item.input.command === 'string') {
+              this.recordBashCommand(stats, item.input.command);
+            }
           }
         }
+
+        if (item.type === 'tool_result') {
+          const outcome = getToolOutcome(item, event);
+          this.recordSubagentResult(stats, item, event);
+          this.recordEditResult(stats, item, event, outcome);
+          this.recordToolOutcome(stats, item, event, outcome);
+        }
+
+        // Count thinking blocks
+        if (item.type === 'thinking') {
+          stats.thinkingBlocks++;
+        }
+      }
+    }
+
+    // Analyze tool results for file operations
+    if (event.toolUseResult && event.toolUseResult.type === 'write') {
+      stats.filesCreated.add(event.toolUseResult.filePath);
+    }
+  }
+
+  /**
+   * Follow the todo list through the session. Every TodoWrite call carries
+   * the whole list, so each task keeps the last status it was given; tasks
+   * dropped from the list keep theirs too.
+   */
+  trackTodos(stats, todos) {
+    if (!Array.isArray(todos)) return;
+
+    for (const todo of todos) {
+      const key = todo && (todo.id || todo.content);
+      if (key) stats.todos[key] = todo.status;
+    }
+  }
+
+  /**
+   * Count a fetched domain or a search query
+   */
+  recordWebResearch(stats, item) {
+    const research = stats.webResearch;
+
+    if (item.name === 'WebFetch') {
+      const domain = getDomain(item.input.url);
+      if (domain) research.fetches[domain] = (research.fetches[domain] || 0) + 1;
+      return;
+    }
+
+    research.searches++;
+    const query = normalizeQuery(item.input.query);
+    if (query) research.queries[query] = (research.queries[query] || 0) + 1;
+  }
+
+  /**
+   * Count a task delegated to a sub-agent, by agent type
+   */
+  recordSubagentRun(stats, item) {
+    const type = item.input.subagent_type || 'general-purpose';
+    const agent = stats.subagents[type] ||
+      (stats.subagents[type] = { runs: 0, toolCalls: 0, tokens: 0, durationMs: 0 });
+    agent.runs++;
+
+    if (item.id) stats.pendingTasks[item.id] = type;
+  }
+
+  /**
+   * Add the tool calls, tokens and time a finished sub-agent reported
+   */
+  recordSubagentResult(stats, item, event) {
+    const type = stats.pendingTasks[item.tool_use_id];
+    if (!type) return;
+    delete stats.pendingTasks[item.tool_use_id];
+
+    const result = event.toolUseResult;
+    if (!result || typeof result !== 'object') return;
+
+    const agent = stats.subagents[type];
+    agent.toolCalls += result.totalToolUseCount || 0;
+    agent.tokens += result.totalTokens || 0;
+    agent.durationMs += result.totalDurationMs || 0;
+  }
+
+  /**
+   * Pair a tool_result with its tool_use and count it as a success, an error
+   * or a rejection by the user. Results whose call was not seen (e.g. made
+   * before the wrapped year began) are ignored.
+   */
+  recordToolOutcome(stats, item, event, outcome) {
+    const tool = stats.pendingToolUses[item.tool_use_id];
+    if (!tool) return;
+    delete stats.pendingToolUses[item.tool_use_id];
+
+    const counts = stats.toolOutcomes[tool] || (stats.toolOutcomes[tool] = createOutcomeCounts());
+    counts[outcome]++;
+
+    const timestamp = event.timestamp || stats.endTime;
+    if (!timestamp) return;
+
+    const week = this.calendar.parts(timestamp).weekKey;
+    const weekly = stats.toolOutcomesByWeek[week] ||
+      (stats.toolOutcomesByWeek[week] = { ...createOutcomeCounts(), edits: 0, failedEdits: 0 });
+    weekly[outcome]++;
+
+    if (EDIT_TOOLS.has(tool)) {
+      weekly.edits++;
+      if (outcome === 'error') weekly.failedEdits++;
+    }
+  }
+
+  /**
+   * Hold an edit or write until its result shows whether it went through
+   */
+  recordPendingEdit(stats, item, filePath) {
+    const edit = { tool: item.name, filePath, changes: countToolLineChanges(item.name, item.input) };
+    const replaceAll = getReplaceAllEdits(item.name, item.input);
+    if (replaceAll.length > 0) {
+      edit.replaceAll = replaceAll.map(({ old_string, new_string }) => ({ old_string, new_string }));
+    }
+    stats.pendingEdits[item.id] = edit;
+  }
+
+  /**
+   * Credit an edit or write once it succeeded: the file ledger, the
+   * modified files and the lines changed. Rejected and failed edits changed
+   * nothing.
+   */
+  recordEditResult(stats, item, event, outcome) {
+    const edit = stats.pendingEdits[item.tool_use_id];
+    if (!edit) return;
+    delete stats.pendingEdits[item.tool_use_id];
+    if (outcome !== 'success') return;
+
+    this.getFileActivity(stats, edit.filePath)[FILE_ACTIVITY[edit.tool]]++;
+    if (edit.tool === 'NotebookEdit') return;
+
+    stats.filesModified.add(edit.filePath);
+    const changes = countResultLineChanges(edit.changes, edit.replaceAll || [], event.toolUseResult);
+    if (changes) this.recordLineChanges(stats, edit.filePath, changes);
+  }
+
+  /**
+   * Count the programs a Bash command runs, their categories and any
+   * test runner it invokes
+   */
+  recordBashCommand(stats, command) {
+    for (const simple of parseCommand(command)) {
+      const category = categorizeProgram(simple.program);
+      stats.commandUsage[simple.program] = (stats.commandUsage[simple.program] || 0) + 1;
+      stats.commandCategories[category] = (stats.commandCategories[category] || 0) + 1;
+
+      const runner = detectTestRunner(simple);
+      if (runner) {
+        stats.testRuns[runner] = (stats.testRuns[runner] || 0) + 1;
+      }
+    }
+  }
+
+  /**
+   * Accumulate active time, counting gaps between events only while they
+   * stay under the idle threshold. A longer gap starts a new work burst.
+   * Returns the milliseconds of active time the event added.
+   */
+  trackActiveTime(stats, time) {
+    if (isNaN(time)) return 0;
+
+    let active = 0;
+    if (stats.lastEventTime === null) {
+      stats.bursts = 1;
+    } else {
+      const gap = time - stats.lastEventTime;
+      if (gap > this.idleThresholdMs) {
+        stats.bursts++;
+      } else if (gap > 0) {
+        active = gap;
+        stats.activeDuration += gap;
       }
+    }
+
+    stats.lastEventTime = Math.max(time, stats.lastEventTime || 0);
+    return active;
+  }
+
+  /**
+   * Follow the user's turns: a prompt opens a turn, the first assistant
+   * event answers it and the last assistant event before the next prompt
+   * ends it. An idle gap also ends the turn, so a prompt left unanswered
+   * overnight is not timed.
+   */
+  trackTurn(stats, event) {
+    const time = Date.parse(event.timestamp);
+    if (isNaN(time)) return;
+
+    if (stats.currentTurn && time - stats.currentTurn.lastEvent > this.idleThresholdMs) {
+      this.finishTurn(stats);
+    }
+    if (stats.currentTurn) {
+      stats.currentTurn.lastEvent = Math.max(time, stats.currentTurn.lastEvent);
+    }
+
+    if (event.type === 'user' && !event.isMeta && !event.isCompactSummary && isPrompt(event.message)) {
+      this.finishTurn(stats);
+      stats.currentTurn = { start: time, firstReply: null, lastReply: null, lastEvent: time, model: null };
+    } else if (event.type === 'assistant' && stats.currentTurn) {
+      const turn = stats.currentTurn;
+      if (turn.firstReply === null) {
+        turn.firstReply = time;
+        const model = event.message && event.message.model;
+        if (model && model !== '<synthetic>') turn.model = model;
+      }
+      turn.lastReply = time;
+    }
+  }
+
+  /**
+   * Count context compactions. /compact and auto-compact write a
+   * compact_boundary system event followed by an isCompactSummary message;
+   * older transcripts only have the message. Summary events are counted
+   * on their own.
+   */
+  trackCompaction(stats, event) {
+    const compaction = stats.compaction;
+
+    if (event.type === 'summary') {
+      compaction.summaries++;
+    } else if (event.type === 'system' && event.subtype === 'compact_boundary') {
+      const metadata = event.compactMetadata || {};
+      this.recordCompaction(stats, metadata.trigger, metadata.preTokens);
+      compaction.awaitingSummary = true;
+    } else if (event.isCompactSummary) {
+      if (!compaction.awaitingSummary) this.recordCompaction(stats, null, 0);
+      compaction.awaitingSummary = false;
+    }
+  }
+
+  /**
+   * Record one compaction with the active time since the session started
+   * or since the previous compaction
+   */
+  recordCompaction(stats, trigger, preTokens) {
+    const compaction = stats.compaction;
+
+    compaction.count++;
+    if (trigger === 'manual' || trigger === 'auto') compaction[trigger]++;
+    compaction.preTokens += preTokens || 0;
+    compaction.intervals.push(stats.activeDuration - compaction.lastActive);
+    compaction.lastActive = stats.activeDuration;
+  }
+
+  /**
+   * Record the open turn's response and turn times under its model, unless
+   * it never got a reply. Only the longest turn is kept whole.
+   */
+  finishTurn(stats) {
+    const turn = stats.currentTurn;
+    stats.currentTurn = null;
+    if (!turn || turn.firstReply === null) return;
+
+    const responseMs = turn.firstReply - turn.start;
+    const durationMs = turn.lastReply - turn.start;
+    const model = turn.model || 'unknown';
+    const times = stats.turns.byModel[model] || (stats.turns.byModel[model] = { responses: [], turns: [] });
+    times.responses.push(responseMs);
+    times.turns.push(durationMs);
+
+    if (!stats.turns.longest || durationMs > stats.turns.longest.durationMs) {
+      stats.turns.longest = { startTime: new Date(turn.start).toISOString(), responseMs, durationMs, model: turn.model };
+    }
+  }
+
+  /**
+   * Credit an event, and the active time leading up to it, to the git
+   * branch it was recorded on
+   */
+  trackBranch(stats, event, active) {
+    const branch = stats.branches[event.gitBranch] ||
+      (stats.branches[event.gitBranch] = { events: 0, activeDuration: 0, firstActivity: null, lastActivity: null });
+
+    branch.events++;
+    branch.activeDuration += active;
+    if (event.timestamp) {
+      if (!branch.firstActivity) branch.firstActivity = event.timestamp;
+      branch.lastActivity = event.timestamp;
+    }
+  }
+
+  /**
+   * Determine a file's language from its name or extension
+   */
+  detectLanguage(filePath) {
+    return this.languageDetector.detect(filePath);
+  }
+
+  /**
+   * Credit the lines added and removed by an edit to the session, file and language
+   */
+  recordLineChanges(stats, filePath, changes) {
+    stats.linesAdded += changes.added;
+    stats.linesRemoved += changes.removed;
+
+    const file = this.getFileActivity(stats, filePath);
+    file.added += changes.added;
+    file.removed += changes.removed;
+
+    const language = this.detectLanguage(filePath);
+    if (language) {
+      const lines = stats.linesByLanguage[language] ||
+        (stats.linesByLanguage[language] = { added: 0, removed: 0 });
+      lines.added += changes.added;
+      lines.removed += changes.removed;
+    }
+  }
+
+  /**
+   * Ledger entry of a file within a session
+   */
+  getFileActivity(stats, filePath) {
+    return stats.fileActivity[filePath] || (stats.fileActivity[filePath] = createFileEntry());
+  }
 
-      // Analyze tool results for file operations
-      if (event.toolUseResult && event.toolUseResult.type === 'write') {
-        stats.filesCreated.add(event.toolUseResult.filePath);
+  /**
+   * Record token usage and model for an assistant message. Claude Code
+   * writes one event per content block, one after another, with the same
+   * message id, request id and usage, so a repeat of the previous message
+   * is not counted again. Per-model usage is kept per month ('' when
+   * untimed) so cost can be billed to the month each response was sent in.
+   */
+  analyzeUsage(stats, event) {
+    const message = event.message;
+    if (!message || !message.usage) return;
+
+    if (message.id) {
+      const key = `${message.id}:${event.requestId || ''}`;
+      if (key === stats.lastMessageKey) return;
+      stats.lastMessageKey = key;
+    }
+
+    const usage = {
+      input: message.usage.input_tokens || 0,
+      output: message.usage.output_tokens || 0,
+      cacheCreation: message.usage.cache_creation_input_tokens || 0,
+      cacheRead: message.usage.cache_read_input_tokens || 0
+    };
+
+    addTokenCounts(stats.tokens, usage);
+    if (event.isSidechain) addTokenCounts(stats.sidechain.tokens, usage);
+
+    // '<synthetic>' marks messages Claude Code generated itself
+    const model = message.model;
+    if (model && model !== '<synthetic>') {
+      const month = event.timestamp ? this.calendar.parts(event.timestamp).monthKey : '';
+      const models = stats.monthlyUsage[month] || (stats.monthlyUsage[month] = {});
+      if (!models[model]) {
+        models[model] = { messages: 0, ...createTokenCounts() };
       }
+      models[model].messages++;
+      addTokenCounts(models[model], usage);
+    }
+  }
+
+  /**
+   * Turn a session accumulator into the final, serializable session stats
+   */
+  finalizeSession(stats) {
+    if (stats.cwd) {
+      const project = this.projectResolver.resolve(stats.cwd);
+      stats.project = project.name;
+      stats.projectRoot = project.root;
+    }
+
+    this.finishTurn(stats);
+
+    if (stats.startTime && stats.endTime) {
+      const start = new Date(stats.startTime);
+      const end = new Date(stats.endTime);
+      stats.duration = Math.floor((end - start) / 1000 / 60); // minutes
+    }
+
+    // Sub-agent transcripts (agent-*.jsonl) contain only sidechain events
+    stats.sidechainOnly = stats.eventCount > 0 && stats.sidechain.events === stats.eventCount;
+
+    // Active time is accumulated in milliseconds
+    stats.activeDuration = Math.floor(stats.activeDuration / 1000 / 60);
+    for (const branch of Object.values(stats.branches)) {
+      branch.activeDuration = Math.floor(branch.activeDuration / 1000 / 60);
     }
 
     // Convert sets to arrays
@@ -187,108 +999,679 @@ class ClaudeCodeParser {
     stats.filesModified = Array.from(stats.filesModified);
     stats.filesCreated = Array.from(stats.filesCreated);
     stats.languages = Array.from(stats.languages);
+    stats.links = finalizeLinks(stats.links);
+
+    // Tasks that were never completed by the end of the session were abandoned
+    const statuses = Object.values(stats.todos);
+    const completed = statuses.filter(status => status === 'completed').length;
+    stats.todos = { planned: statuses.length, completed, abandoned: statuses.length - completed };
+
+    // Per-model totals for the session, across its months
+    stats.modelUsage = {};
+    for (const models of Object.values(stats.monthlyUsage)) {
+      for (const [model, usage] of Object.entries(models)) {
+        if (!stats.modelUsage[model]) {
+          stats.modelUsage[model] = { messages: 0, ...createTokenCounts() };
+        }
+        stats.modelUsage[model].messages += usage.messages;
+        addTokenCounts(stats.modelUsage[model], usage);
+      }
+    }
+
+    // Only needed while analyzing
+    delete stats.yearFilter;
+    delete stats.lastMessageKey;
+    delete stats.copiedUntil;
+    delete stats.lastEventTime;
+    delete stats.pendingToolUses;
+    delete stats.pendingEdits;
+    delete stats.pendingTasks;
+    delete stats.currentTurn;
+    delete stats.compaction.lastActive;
+    delete stats.compaction.awaitingSummary;
 
     return stats;
   }
 
   /**
-   * Parse all sessions and aggregate statistics
+   * Extract statistics from session events
+   */
+  analyzeSession(events, yearFilter = null) {
+    const stats = this.createSessionState(yearFilter);
+
+    for (const event of events) {
+      this.analyzeEvent(stats, event);
+    }
+
+    return this.finalizeSession(stats);
+  }
+
+  /**
+   * Stream a file's events from byte offset start into a session accumulator.
+   * Returns the offset just past the last complete line, where a later call
+   * can resume once the file has grown.
+   */
+  async analyzeFileInto(stats, filePath, start = 0) {
+    const diagnostics = stats.diagnostics;
+    let offset = start;
+
+    // Recomputed on every pass: the last line may have been completed since
+    diagnostics.truncated = null;
+
+    for await (const { text, end, terminated } of this.readSessionLines(filePath, start)) {
+      const line = diagnostics.linesRead + 1;
+      let problem = null;
+      const event = this.parseLine(text, (kind, message) => { problem = { kind, message }; });
+
+      if (event) {
+        checkEventType(diagnostics, event);
+        this.analyzeEvent(stats, event);
+      }
+
+      // An unterminated last line may still be being written; only step
+      // past it if it already parses
+      if (terminated || event) {
+        offset = end;
+        diagnostics.linesRead = line;
+        if (problem) recordProblem(diagnostics, line, problem.kind, problem.message);
+      } else if (problem) {
+        diagnostics.truncated = { line, message: problem.message };
+      }
+    }
+
+    return offset;
+  }
+
+  /**
+   * Stream a session file straight into analyzeEvent without keeping its events
+   */
+  async analyzeSessionFile(filePath, yearFilter = null) {
+    const stats = this.createSessionState(yearFilter);
+    await this.analyzeFileInto(stats, filePath);
+    return this.finalizeSession(stats);
+  }
+
+  /**
+   * Work out how much of a session file needs parsing. Unchanged cached
+   * files are complete; files that only grew resume from the cached state
+   * and offset; anything else starts from scratch (state null), as do files
+   * cached with a different amount of copied history.
+   */
+  planSessionFile(filePath, yearFilter = null, copiedUntil = null) {
+    if (!this.cache) {
+      return { stat: null, state: null, offset: 0, complete: false, copiedUntil };
+    }
+
+    const stat = fs.statSync(filePath);
+    const cached = this.cache.lookup(filePath, yearFilter, stat);
+
+    return cached && cached.state.copiedUntil === copiedUntil
+      ? { stat, ...cached, copiedUntil }
+      : { stat, state: null, offset: 0, complete: false, copiedUntil };
+  }
+
+  /**
+   * Parse the part of a session file a plan calls for. Returns the working
+   * state and the offset parsing stopped at; runs in worker threads too.
+   */
+  async runSessionPlan(filePath, yearFilter, plan) {
+    const state = plan.state || this.createSessionState(yearFilter, plan.copiedUntil);
+    const offset = await this.analyzeFileInto(state, filePath, plan.offset);
+    return { state, offset };
+  }
+
+  /**
+   * Cache a parsed session file and finalize its stats
    */
-  parseAllSessions(yearFilter = null) {
+  finishSessionFile(filePath, yearFilter, plan, result) {
+    if (this.cache && !plan.complete) {
+      this.cache.store(filePath, yearFilter, plan.stat, result.state, result.offset);
+    }
+
+    return this.finalizeSession(result.state);
+  }
+
+  /**
+   * Analyze a session file through the cache: unchanged files are not read
+   * at all and files that only grew are parsed from where they left off
+   */
+  async analyzeCachedSessionFile(filePath, yearFilter = null, copiedUntil = null) {
+    const plan = this.planSessionFile(filePath, yearFilter, copiedUntil);
+    const result = plan.complete ? plan : await this.runSessionPlan(filePath, yearFilter, plan);
+    return this.finishSessionFile(filePath, yearFilter, plan, result);
+  }
+
+  /**
+   * Analyze session files on a pool of worker threads. Results are handed
+   * on in file order, so the aggregate is identical to a sequential run;
+   * at most two files per worker are in flight at once.
+   */
+  async analyzeInWorkers(sessionFiles, yearFilter, onResult) {
+    const pool = new WorkerPool(path.join(__dirname, 'parseWorker.js'), this.jobs, this.getWorkerOptions());
+    const inFlight = [];
+
+    const analyze = async file => {
+      const plan = this.planSessionFile(file.path, yearFilter, file.copiedUntil);
+      const result = plan.complete
+        ? plan
+        : await pool.run({
+          filePath: file.path,
+          yearFilter,
+          plan: { state: plan.state, offset: plan.offset, copiedUntil: plan.copiedUntil }
+        });
+      return this.finishSessionFile(file.path, yearFilter, plan, result);
+    };
+
+    try {
+      for (const file of sessionFiles) {
+        const pending = analyze(file);
+        // Failures surface when the result is awaited in order below
+        pending.catch(() => {});
+        inFlight.push({ file, pending });
+
+        if (inFlight.length >= this.jobs * 2) {
+          const next = inFlight.shift();
+          onResult(next.file, await next.pending);
+        }
+      }
+
+      while (inFlight.length > 0) {
+        const next = inFlight.shift();
+        onResult(next.file, await next.pending);
+      }
+    } finally {
+      await pool.close();
+    }
+  }
+
+  /**
+   * Analyze every session file, handing each finished session to onSession
+   */
+  async forEachSession(yearFilter, onSession) {
     const sessionFiles = this.findSessionFiles();
-    const allSessions = [];
+    this.diagnostics = createDiagnosticsReport();
 
-    for (const file of sessionFiles) {
-      const events = this.parseSessionFile(file.path);
+    // Files that continue a conversation by copying it skip the copy
+    const copiedUntil = findCopiedHistory(sessionFiles.map(file => this.getHistoryBounds(file, yearFilter)));
+    sessionFiles.forEach(file => {
+      file.copiedUntil = copiedUntil.get(file.path) || null;
+    });
 
-      if (events.length === 0) continue;
+    const emit = (file, sessionStats) => {
+      addFileDiagnostics(this.diagnostics, file.path, sessionStats.diagnostics);
+      delete sessionStats.diagnostics;
 
-      // Filter by year if specified
-      const sessionYear = new Date(events[0].timestamp).getFullYear();
-      if (yearFilter && sessionYear !== yearFilter) continue;
+      // No timed events in the requested year (or only summaries)
+      if (!sessionStats.startTime) return;
 
-      const sessionStats = this.analyzeSession(events);
-      sessionStats.project = file.project;
+      if (!sessionStats.project) {
+        sessionStats.project = file.projectDir;
+      }
       sessionStats.file = file.path;
 
-      allSessions.push(sessionStats);
+      onSession(sessionStats);
+    };
+
+    if (this.jobs > 1 && sessionFiles.length > 1) {
+      await this.analyzeInWorkers(sessionFiles, yearFilter, emit);
+    } else {
+      for (const file of sessionFiles) {
+        emit(file, await this.analyzeCachedSessionFile(file.path, yearFilter, file.copiedUntil));
+      }
+    }
+
+    if (this.cache) {
+      this.cache.prune(yearFilter);
+    }
+  }
+
+  /**
+   * Parse all sessions. Each session is tagged with the conversationId of
+   * the first file in its conversation, so resumed files can be grouped.
+   */
+  async parseAllSessions(yearFilter = null) {
+    const allSessions = [];
+
+    await this.forEachSession(yearFilter, session => allSessions.push(session));
+
+    const index = createConversationIndex();
+    allSessions
+      .filter(session => !session.sidechainOnly)
+      .forEach(session => addConversationFile(index, session));
+    const conversationIds = new Map();
+    for (const files of linkConversations(index)) {
+      files.forEach(file => conversationIds.set(file.sessionId, files[0].sessionId));
     }
+    allSessions.forEach(session => {
+      session.conversationId = conversationIds.get(session.sessionId) || session.sessionId;
+    });
 
     return allSessions;
   }
 
   /**
-   * Aggregate statistics across all sessions
+   * Parse and aggregate all sessions in a single pass. Sessions are folded
+   * into the aggregate as soon as they are analyzed and then dropped, so
+   * peak memory does not depend on how many sessions there are.
    */
-  aggregateStats(sessions) {
-    const aggregated = {
-      totalSessions: sessions.length,
+  async aggregateAllSessions(yearFilter = null) {
+    const aggregated = this.createAggregate();
+
+    await this.forEachSession(yearFilter, session => this.addSessionToAggregate(aggregated, session));
+
+    return this.finalizeAggregate(aggregated);
+  }
+
+  /**
+   * Create an empty aggregate for addSessionToAggregate
+   */
+  createAggregate() {
+    return {
+      totalSessions: 0,
       totalMessages: 0,
       totalUserMessages: 0,
       totalAssistantMessages: 0,
       totalDuration: 0,
+      totalActiveDuration: 0,
+      totalBursts: 0,
       totalFilesAccessed: new Set(),
       totalFilesModified: new Set(),
       totalFilesCreated: new Set(),
       toolUsage: {},
+      commandUsage: {},
+      commandCategories: {},
+      testRuns: {},
+      slashCommands: {},
+      slashCommandsByProject: {},
+      toolOutcomes: {},
+      toolOutcomesByProject: {},
+      toolOutcomesByWeek: {},
+      subagents: {},
+      sidechain: { messages: 0, toolCalls: 0, tokens: createTokenCounts() },
+      subagentTranscripts: 0,
+      files: {},
       languageStats: {},
       projectStats: {},
       dailyActivity: {},
       hourlyActivity: {},
+      weekdayActivity: {},
       gitBranches: new Set(),
+      branchesByProject: {},
+      latency: { responses: [], turns: [], byModel: {}, byProject: {}, longestTurn: null },
+      conversations: createConversationIndex(),
+      webResearch: { fetches: 0, searches: 0, domains: {}, queries: {}, byProject: {}, byLanguage: {} },
+      todos: { planned: 0, completed: 0, abandoned: 0, sessionsWithTodos: 0, byProject: {} },
+      compaction: { compactions: 0, manual: 0, auto: 0, summaries: 0, preTokens: 0, sessionsCompacted: 0, intervals: [], byProject: {} },
       totalThinkingBlocks: 0,
-      sessions: sessions
+      totalLinesAdded: 0,
+      totalLinesRemoved: 0,
+      linesByLanguage: {},
+      tokenUsage: createTokenCounts(),
+      modelUsage: {},
+      cost: this.costEstimator ? {
+        total: 0,
+        byModel: {},
+        byProject: {},
+        byMonth: {},
+        sessions: [],
+        unpricedModels: new Set()
+      } : null
     };
+  }
 
-    for (const session of sessions) {
-      aggregated.totalMessages += session.messageCount;
-      aggregated.totalUserMessages += session.userMessages;
-      aggregated.totalAssistantMessages += session.assistantMessages;
-      aggregated.totalDuration += session.duration;
-      aggregated.totalThinkingBlocks += session.thinkingBlocks;
-
-      // Files
-      session.filesAccessed.forEach(f => aggregated.totalFilesAccessed.add(f));
-      session.filesModified.forEach(f => aggregated.totalFilesModified.add(f));
-      session.filesCreated.forEach(f => aggregated.totalFilesCreated.add(f));
-
-      // Tools
-      for (const [tool, count] of Object.entries(session.toolUsage)) {
-        aggregated.toolUsage[tool] = (aggregated.toolUsage[tool] || 0) + count;
+  /**
+   * Fold one analyzed session into the aggregate
+   */
+  addSessionToAggregate(aggregated, session) {
+    this.addSubagentStats(aggregated, session);
+
+    // Sub-agent transcripts add their code changes, tokens, cost and tool
+    // outcomes to the year, but are not sessions of their own
+    if (session.sidechainOnly) {
+      aggregated.subagentTranscripts++;
+      this.addSessionCodeChanges(aggregated, session);
+      this.addSessionUsage(aggregated, session);
+      this.addSessionToolOutcomes(aggregated, session);
+      this.addSessionResearch(aggregated.webResearch, session);
+      return;
+    }
+
+    aggregated.totalSessions++;
+    aggregated.totalMessages += session.messageCount;
+    aggregated.totalUserMessages += session.userMessages;
+    aggregated.totalAssistantMessages += session.assistantMessages;
+    aggregated.totalDuration += session.duration;
+    aggregated.totalActiveDuration += session.activeDuration;
+    aggregated.totalBursts += session.bursts;
+    aggregated.totalThinkingBlocks += session.thinkingBlocks;
+
+    this.addSessionCodeChanges(aggregated, session);
+    this.addSessionUsage(aggregated, session);
+    this.addSessionToolOutcomes(aggregated, session);
+
+    // Tools
+    for (const [tool, count] of Object.entries(session.toolUsage)) {
+      aggregated.toolUsage[tool] = (aggregated.toolUsage[tool] || 0) + count;
+    }
+
+    // Bash commands
+    for (const [program, count] of Object.entries(session.commandUsage)) {
+      aggregated.commandUsage[program] = (aggregated.commandUsage[program] || 0) + count;
+    }
+    for (const [category, count] of Object.entries(session.commandCategories)) {
+      aggregated.commandCategories[category] = (aggregated.commandCategories[category] || 0) + count;
+    }
+    for (const [runner, count] of Object.entries(session.testRuns)) {
+      aggregated.testRuns[runner] = (aggregated.testRuns[runner] || 0) + count;
+    }
+
+    // Slash commands
+    for (const [command, count] of Object.entries(session.slashCommands)) {
+      const project = session.project || 'unknown';
+      const byProject = aggregated.slashCommandsByProject[project] ||
+        (aggregated.slashCommandsByProject[project] = {});
+      aggregated.slashCommands[command] = (aggregated.slashCommands[command] || 0) + count;
+      byProject[command] = (byProject[command] || 0) + count;
+    }
+
+    // Languages
+    session.languages.forEach(lang => {
+      aggregated.languageStats[lang] = (aggregated.languageStats[lang] || 0) + 1;
+    });
+
+    // Projects
+    if (session.project) {
+      aggregated.projectStats[session.project] =
+        (aggregated.projectStats[session.project] || 0) + 1;
+    }
+
+    this.addSessionTurns(aggregated.latency, session);
+    addConversationFile(aggregated.conversations, session);
+    this.addSessionCompaction(aggregated.compaction, session);
+    this.addSessionResearch(aggregated.webResearch, session);
+
+    // Todo lists
+    if (session.todos.planned > 0) {
+      const project = session.project || 'unknown';
+      const byProject = aggregated.todos.byProject[project] ||
+        (aggregated.todos.byProject[project] = { planned: 0, completed: 0, abandoned: 0 });
+
+      aggregated.todos.sessionsWithTodos++;
+      for (const total of [aggregated.todos, byProject]) {
+        total.planned += session.todos.planned;
+        total.completed += session.todos.completed;
+        total.abandoned += session.todos.abandoned;
       }
+    }
 
-      // Languages
-      session.languages.forEach(lang => {
-        aggregated.languageStats[lang] = (aggregated.languageStats[lang] || 0) + 1;
-      });
+    // Git branches
+    const branchProject = session.project || 'unknown';
+    for (const [name, branch] of Object.entries(session.branches)) {
+      aggregated.gitBranches.add(name);
+
+      const branches = aggregated.branchesByProject[branchProject] ||
+        (aggregated.branchesByProject[branchProject] = {});
+      const total = branches[name] ||
+        (branches[name] = { sessions: 0, activeDuration: 0, firstActivity: null, lastActivity: null });
 
-      // Projects
-      if (session.project) {
-        aggregated.projectStats[session.project] =
-          (aggregated.projectStats[session.project] || 0) + 1;
+      total.sessions++;
+      total.activeDuration += branch.activeDuration;
+      if (branch.firstActivity &&
+          (!total.firstActivity || Date.parse(branch.firstActivity) < Date.parse(total.firstActivity))) {
+        total.firstActivity = branch.firstActivity;
       }
+      if (branch.lastActivity &&
+          (!total.lastActivity || Date.parse(branch.lastActivity) > Date.parse(total.lastActivity))) {
+        total.lastActivity = branch.lastActivity;
+      }
+    }
+
+    // Time analysis
+    if (session.startTime) {
+      const { dateKey, hour, weekday } = this.calendar.parts(session.startTime);
+
+      aggregated.dailyActivity[dateKey] = (aggregated.dailyActivity[dateKey] || 0) + 1;
+      aggregated.hourlyActivity[hour] = (aggregated.hourlyActivity[hour] || 0) + 1;
+      aggregated.weekdayActivity[weekday] = (aggregated.weekdayActivity[weekday] || 0) + 1;
+    }
+  }
+
+  /**
+   * Collect a session's response and turn times, overall and per model and
+   * project, and keep the longest turn
+   */
+  addSessionTurns(latency, session) {
+    const longest = session.turns.longest;
+    if (!longest) return;
+
+    const project = session.project || 'unknown';
+    const byProject = latency.byProject[project] ||
+      (latency.byProject[project] = { responses: [], turns: [] });
+
+    for (const [model, times] of Object.entries(session.turns.byModel)) {
+      const byModel = latency.byModel[model] ||
+        (latency.byModel[model] = { responses: [], turns: [] });
+
+      for (const bucket of [latency, byModel, byProject]) {
+        times.responses.forEach(ms => bucket.responses.push(ms));
+        times.turns.forEach(ms => bucket.turns.push(ms));
+      }
+    }
+
+    if (!latency.longestTurn || longest.durationMs > latency.longestTurn.durationMs) {
+      latency.longestTurn = { ...longest, sessionId: session.sessionId, project };
+    }
+  }
+
+  /**
+   * Add a session's fetched domains and searches, overall and per project.
+   * Domains are also credited to each language the session worked in.
+   */
+  addSessionResearch(total, session) {
+    const research = session.webResearch;
+    const domains = Object.entries(research.fetches);
+    if (domains.length === 0 && research.searches === 0) return;
+
+    const project = session.project || 'unknown';
+    const byProject = total.byProject[project] ||
+      (total.byProject[project] = { fetches: 0, searches: 0, domains: {} });
+
+    total.searches += research.searches;
+    byProject.searches += research.searches;
+    for (const [query, count] of Object.entries(research.queries)) {
+      total.queries[query] = (total.queries[query] || 0) + count;
+    }
+
+    if (domains.length === 0) return;
+
+    const domainTotals = [total.domains, byProject.domains, ...session.languages.map(language =>
+      total.byLanguage[language] || (total.byLanguage[language] = {}))];
 
-      // Git branches
-      if (session.gitBranch) {
-        aggregated.gitBranches.add(session.gitBranch);
+    for (const [domain, count] of domains) {
+      total.fetches += count;
+      byProject.fetches += count;
+      domainTotals.forEach(counts => { counts[domain] = (counts[domain] || 0) + count; });
+    }
+  }
+
+  /**
+   * Add a session's compactions, overall and per project. Every session
+   * counts towards its project, so the share that needed compacting can
+   * be worked out.
+   */
+  addSessionCompaction(total, session) {
+    const compaction = session.compaction;
+    const project = session.project || 'unknown';
+    const byProject = total.byProject[project] ||
+      (total.byProject[project] = { sessions: 0, sessionsCompacted: 0, compactions: 0 });
+
+    byProject.sessions++;
+    total.summaries += compaction.summaries;
+    if (compaction.count === 0) return;
+
+    byProject.sessionsCompacted++;
+    byProject.compactions += compaction.count;
+    total.sessionsCompacted++;
+    total.compactions += compaction.count;
+    total.manual += compaction.manual;
+    total.auto += compaction.auto;
+    total.preTokens += compaction.preTokens;
+    total.intervals.push(...compaction.intervals);
+  }
+
+  /**
+   * Add a session's line changes and touched files to the aggregate
+   */
+  addSessionCodeChanges(aggregated, session) {
+    aggregated.totalLinesAdded += session.linesAdded;
+    aggregated.totalLinesRemoved += session.linesRemoved;
+
+    for (const [language, lines] of Object.entries(session.linesByLanguage)) {
+      const total = aggregated.linesByLanguage[language] ||
+        (aggregated.linesByLanguage[language] = { added: 0, removed: 0 });
+      total.added += lines.added;
+      total.removed += lines.removed;
+    }
+
+    session.filesAccessed.forEach(f => aggregated.totalFilesAccessed.add(f));
+    session.filesModified.forEach(f => aggregated.totalFilesModified.add(f));
+    session.filesCreated.forEach(f => aggregated.totalFilesCreated.add(f));
+
+    // Per-file ledger, with paths shown relative to the project root
+    for (const [filePath, activity] of Object.entries(session.fileActivity)) {
+      const file = aggregated.files[filePath] || (aggregated.files[filePath] = {
+        path: relativeToProject(filePath, session.projectRoot),
+        project: session.project || 'unknown',
+        ...createFileEntry()
+      });
+      addFileEntry(file, activity);
+      if (!session.sidechainOnly) file.sessions++;
+    }
+  }
+
+  /**
+   * Add a session's tool results to the aggregate, per tool, project and week
+   */
+  addSessionToolOutcomes(aggregated, session) {
+    const project = session.project || 'unknown';
+    for (const [tool, counts] of Object.entries(session.toolOutcomes)) {
+      const total = aggregated.toolOutcomes[tool] ||
+        (aggregated.toolOutcomes[tool] = createOutcomeCounts());
+      const byProject = aggregated.toolOutcomesByProject[project] ||
+        (aggregated.toolOutcomesByProject[project] = createOutcomeCounts());
+      addOutcomeCounts(total, counts);
+      addOutcomeCounts(byProject, counts);
+    }
+
+    for (const [week, counts] of Object.entries(session.toolOutcomesByWeek)) {
+      const total = aggregated.toolOutcomesByWeek[week] ||
+        (aggregated.toolOutcomesByWeek[week] = { ...createOutcomeCounts(), edits: 0, failedEdits: 0 });
+      addOutcomeCounts(total, counts);
+      total.edits += counts.edits;
+      total.failedEdits += counts.failedEdits;
+    }
+  }
+
+  /**
+   * Add a session's tokens, per-model usage and cost to the aggregate
+   */
+  addSessionUsage(aggregated, session) {
+    addTokenCounts(aggregated.tokenUsage, session.tokens);
+
+    for (const [model, usage] of Object.entries(session.modelUsage)) {
+      if (!aggregated.modelUsage[model]) {
+        aggregated.modelUsage[model] = { messages: 0, ...createTokenCounts() };
       }
+      aggregated.modelUsage[model].messages += usage.messages;
+      addTokenCounts(aggregated.modelUsage[model], usage);
+    }
 
-      // Time analysis
-      if (session.startTime) {
-        const date = new Date(session.startTime);
-        const day = date.toISOString().split('T')[0];
-        const hour = date.getHours();
+    if (aggregated.cost) {
+      this.addSessionCost(aggregated.cost, session);
+    }
+  }
 
-        aggregated.dailyActivity[day] = (aggregated.dailyActivity[day] || 0) + 1;
-        aggregated.hourlyActivity[hour] = (aggregated.hourlyActivity[hour] || 0) + 1;
+  /**
+   * Add a session's delegated sub-agent runs and sidechain activity
+   */
+  addSubagentStats(aggregated, session) {
+    for (const [type, agent] of Object.entries(session.subagents)) {
+      const total = aggregated.subagents[type] ||
+        (aggregated.subagents[type] = { runs: 0, toolCalls: 0, tokens: 0, durationMs: 0 });
+      total.runs += agent.runs;
+      total.toolCalls += agent.toolCalls;
+      total.tokens += agent.tokens;
+      total.durationMs += agent.durationMs;
+    }
+
+    aggregated.sidechain.messages += session.sidechain.messages;
+    aggregated.sidechain.toolCalls += session.sidechain.toolCalls;
+    addTokenCounts(aggregated.sidechain.tokens, session.sidechain.tokens);
+  }
+
+  /**
+   * Estimate a session's cost and credit it to its model and project, and
+   * to the months its responses were sent in
+   */
+  addSessionCost(cost, session) {
+    const estimate = this.costEstimator.estimateModelUsage(session.modelUsage);
+
+    for (const [model, amount] of Object.entries(estimate.byModel)) {
+      cost.byModel[model] = (cost.byModel[model] || 0) + amount;
+      if (!this.costEstimator.getRates(model)) {
+        cost.unpricedModels.add(model);
       }
     }
 
-    // Convert sets to counts
+    cost.total += estimate.total;
+
+    const project = session.project || 'unknown';
+    cost.byProject[project] = (cost.byProject[project] || 0) + estimate.total;
+
+    const sessionMonth = session.startTime ? this.calendar.parts(session.startTime).monthKey : null;
+    for (const [month, models] of Object.entries(session.monthlyUsage)) {
+      const bucket = month || sessionMonth;
+      if (!bucket) continue;
+      cost.byMonth[bucket] = (cost.byMonth[bucket] || 0) + this.costEstimator.estimateModelUsage(models).total;
+    }
+
+    cost.sessions.push({
+      sessionId: session.sessionId,
+      project: session.project,
+      startTime: session.startTime,
+      cost: estimate.total
+    });
+  }
+
+  /**
+   * Convert the aggregate's working sets into counts
+   */
+  finalizeAggregate(aggregated) {
     aggregated.totalFilesAccessed = aggregated.totalFilesAccessed.size;
     aggregated.totalFilesModified = aggregated.totalFilesModified.size;
     aggregated.totalFilesCreated = aggregated.totalFilesCreated.size;
     aggregated.totalGitBranches = aggregated.gitBranches.size;
+    aggregated.conversations = summarizeConversations(linkConversations(aggregated.conversations));
+
+    if (aggregated.cost) {
+      aggregated.cost.unpricedModels = Array.from(aggregated.cost.unpricedModels);
+    }
+
+    return aggregated;
+  }
+
+  /**
+   * Aggregate statistics across all sessions
+   */
+  aggregateStats(sessions) {
+    const aggregated = this.createAggregate();
+
+    for (const session of sessions) {
+      this.addSessionToAggregate(aggregated, session);
+    }
+
+    this.finalizeAggregate(aggregated);
+    aggregated.sessions = sessions;
 
     return aggregated;
   }
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { ZonedCalendar } = require('./timeZone');
 
 /**
  * Data collector for Claude Code sessions
@@ -78,12 +79,12 @@ class DataCollector {
   }
 
   /**
-   * Get sessions for a specific year
+   * Get sessions for a specific year, judged in the calendar's time zone
    */
-  getSessionsByYear(year) {
+  getSessionsByYear(year, calendar = new ZonedCalendar()) {
     const sessions = this.loadSessions();
     return sessions.filter(session => {
-      const sessionYear = new Date(session.timestamp).getFullYear();
+      const sessionYear = calendar.parts(session.timestamp).year;
       return sessionYear === year;
     });
   }
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * User configuration for Claude Code Wrapped
+ * Settings live in ~/.claude-code-wrapped/ (override with CLAUDE_WRAPPED_HOME)
+ */
+
+/**
+ * Directory holding config.json and other user-editable files
+ */
+function getConfigDir() {
+  return process.env.CLAUDE_WRAPPED_HOME || path.join(os.homedir(), '.claude-code-wrapped');
+}
+
+/**
+ * Read a JSON file, returning the fallback if it is missing or invalid
+ */
+function readJSONFile(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error loading ${filePath}: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Load config.json from the config directory
+ */
+function loadConfig() {
+  return readJSONFile(path.join(getConfigDir(), 'config.json'), {});
+}
+
+module.exports = { getConfigDir, readJSONFile, loadConfig };
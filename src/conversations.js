@@ -0,0 +1,234 @@
+/**
+ * Conversation continuity across session files
+ *
+ * Resuming or continuing a conversation starts a new JSONL file. The new
+ * file links back to the old one: its first message's parentUuid (or a
+ * summary's leafUuid) names a message at the end of the earlier file, or
+ * it starts with a copy of the earlier history and so shares its first
+ * message. Files linked this way are one logical conversation.
+ *
+ * A copied history keeps its original timestamps, so each file only counts
+ * its events after the end of the file it copied (see findCopiedHistory).
+ */
+
+/**
+ * Create the empty message links kept while a file is analyzed
+ */
+function createLinkState() {
+  return {
+    rootUuid: null,
+    tips: new Set(),
+    references: new Set()
+  };
+}
+
+/**
+ * Record the message links of one event. Sub-agent events form their own
+ * trees and are ignored.
+ */
+function trackLinks(links, event) {
+  if (event.isSidechain) return;
+
+  if (event.type === 'summary' && event.leafUuid) {
+    links.references.add(event.leafUuid);
+  }
+
+  if (!event.uuid) return;
+
+  if (!links.rootUuid) links.rootUuid = event.uuid;
+
+  // A message stops being a tip once something follows on from it; a parent
+  // that is not a tip is in another file (or a branch point in this one).
+  // Compaction boundaries point at the message they continue from.
+  const parent = event.parentUuid || event.logicalParentUuid;
+  if (parent && !links.tips.delete(parent)) links.references.add(parent);
+  links.tips.add(event.uuid);
+}
+
+/**
+ * Reduce a file's links to what linking needs: its first message, the
+ * messages nothing in the file follows on from (tips), and the messages
+ * it refers to in other files
+ */
+function finalizeLinks(links) {
+  return {
+    rootUuid: links.rootUuid,
+    tips: Array.from(links.tips),
+    references: Array.from(links.references).filter(uuid => !links.tips.has(uuid))
+  };
+}
+
+/**
+ * Work out how much of each file is a copy of earlier history. Files that
+ * share their first message continue one conversation by copying it; in
+ * order of last activity, each repeats the history up to the end of the
+ * one before it.
+ *
+ * @param {Array<{path, rootUuid, lastTimestamp}>} files
+ * @returns {Map<string, number>} File path to the time (ms) up to which its events are copies
+ */
+function findCopiedHistory(files) {
+  const byRoot = new Map();
+  for (const file of files) {
+    if (!file.rootUuid || !file.lastTimestamp) continue;
+    if (!byRoot.has(file.rootUuid)) byRoot.set(file.rootUuid, []);
+    byRoot.get(file.rootUuid).push(file);
+  }
+
+  const copiedUntil = new Map();
+  for (const group of byRoot.values()) {
+    group.sort((a, b) => Date.parse(a.lastTimestamp) - Date.parse(b.lastTimestamp));
+    for (let i = 1; i < group.length; i++) {
+      copiedUntil.set(group[i].path, Date.parse(group[i - 1].lastTimestamp));
+    }
+  }
+
+  return copiedUntil;
+}
+
+/**
+ * Create an empty index for addConversationFile
+ */
+function createConversationIndex() {
+  return [];
+}
+
+/**
+ * Add an analyzed session file to the index
+ */
+function addConversationFile(index, session) {
+  index.push({
+    sessionId: session.sessionId,
+    project: session.project || 'unknown',
+    startTime: session.startTime,
+    endTime: session.endTime,
+    activeDuration: session.activeDuration,
+    links: session.links
+  });
+}
+
+/**
+ * Group indexed files into conversations, oldest first. Each file is
+ * marked resumed if it continues an earlier file.
+ */
+function linkConversations(index) {
+  const files = [...index].sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+  const groupOf = files.map((file, i) => i);
+  const tipOwners = new Map();
+  const rootOwners = new Map();
+
+  const find = i => {
+    while (groupOf[i] !== i) {
+      groupOf[i] = groupOf[groupOf[i]];
+      i = groupOf[i];
+    }
+    return i;
+  };
+  const join = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    // The earliest file names the conversation
+    if (rootA !== rootB) groupOf[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+
+  files.forEach((file, i) => {
+    file.links.tips.forEach(uuid => tipOwners.set(uuid, i));
+  });
+
+  files.forEach((file, i) => {
+    file.resumed = false;
+
+    for (const uuid of file.links.references) {
+      const owner = tipOwners.get(uuid);
+      if (owner !== undefined && owner !== i) {
+        join(i, owner);
+        file.resumed = true;
+      }
+    }
+
+    const rootUuid = file.links.rootUuid;
+    if (rootUuid) {
+      if (rootOwners.has(rootUuid)) {
+        join(i, rootOwners.get(rootUuid));
+        file.resumed = true;
+      } else {
+        rootOwners.set(rootUuid, i);
+      }
+    }
+  });
+
+  const conversations = new Map();
+  files.forEach((file, i) => {
+    const group = find(i);
+    if (!conversations.has(group)) conversations.set(group, []);
+    conversations.get(group).push(file);
+  });
+
+  return Array.from(conversations.values());
+}
+
+/**
+ * File and conversation counts, overall and per project, how often a
+ * conversation was resumed, and the longest chain of files
+ */
+function summarizeConversations(conversations) {
+  const report = {
+    files: 0,
+    conversations: conversations.length,
+    resumedFiles: 0,
+    resumeRate: 0,
+    resumedConversations: 0,
+    longestChain: null,
+    byProject: {}
+  };
+
+  const projectEntry = project => report.byProject[project] ||
+    (report.byProject[project] = { files: 0, conversations: 0, resumedFiles: 0 });
+
+  for (const files of conversations) {
+    const first = files[0];
+    projectEntry(first.project).conversations++;
+
+    for (const file of files) {
+      const entry = projectEntry(file.project);
+      report.files++;
+      entry.files++;
+      if (file.resumed) {
+        report.resumedFiles++;
+        entry.resumedFiles++;
+      }
+    }
+
+    if (files.length > 1) report.resumedConversations++;
+
+    if (!report.longestChain || files.length > report.longestChain.files) {
+      report.longestChain = {
+        files: files.length,
+        project: first.project,
+        sessionIds: files.map(file => file.sessionId),
+        firstActivity: first.startTime,
+        lastActivity: files.reduce((last, file) =>
+          Date.parse(file.endTime) > Date.parse(last) ? file.endTime : last, first.endTime),
+        activeDuration: files.reduce((sum, file) => sum + file.activeDuration, 0)
+      };
+    }
+  }
+
+  report.resumeRate = report.files > 0 ? report.resumedFiles / report.files : 0;
+  report.byProject = Object.fromEntries(
+    Object.entries(report.byProject).sort((a, b) => b[1].files - a[1].files)
+  );
+
+  return report;
+}
+
+module.exports = {
+  createLinkState,
+  trackLinks,
+  finalizeLinks,
+  findCopiedHistory,
+  createConversationIndex,
+  addConversationFile,
+  linkConversations,
+  summarizeConversations
+};
@@ -3,6 +3,7 @@
 const DataCollector = require('./collector');
 const WrappedGenerator = require('./generator');
 const TerminalDisplay = require('./terminal-display');
+const { detectLanguage } = require('./languages');
 
 /**
  * Demo script to generate sample data and display wrapped
@@ -16,7 +17,7 @@ function generateSampleData() {
   // Clear existing data
   collector.clearSessions();
 
-  const languages = ['JavaScript', 'Python', 'TypeScript', 'Go', 'Rust', 'Java'];
+  const extensions = ['.js', '.py', '.ts', '.go', '.rs', '.java', '.vue', '.tf'];
   const projects = ['web-app', 'api-server', 'mobile-app', 'cli-tool', 'data-pipeline'];
   const tools = ['Read', 'Write', 'Edit', 'Bash', 'Grep', 'Glob', 'Task'];
 
@@ -33,17 +34,21 @@ function generateSampleData() {
 
     const date = new Date(year, month, day, hour);
 
-    // Random session data
+    // Random session data; languages come from the files touched
+    const filesModified = generateRandomArray(3, 15, 'file', extensions);
+    const filesCreated = generateRandomArray(0, 5, 'newfile', extensions);
+    const languages = new Set([...filesModified, ...filesCreated].map(detectLanguage).filter(Boolean));
+
     const session = {
       timestamp: date.toISOString(),
       date: date.toISOString().split('T')[0],
       messageCount: 5 + Math.floor(Math.random() * 50),
-      filesModified: generateRandomArray(3, 15, 'file'),
-      filesCreated: generateRandomArray(0, 5, 'newfile'),
+      filesModified,
+      filesCreated,
       linesAdded: Math.floor(Math.random() * 500),
       linesRemoved: Math.floor(Math.random() * 300),
       toolCalls: generateRandomTools(tools, 5, 20),
-      languages: generateRandomLanguages(languages, 1, 3),
+      languages: Array.from(languages),
       project: projects[Math.floor(Math.random() * projects.length)]
     };
 
@@ -53,9 +58,11 @@ function generateSampleData() {
   console.log(`✅ Generated ${numSessions} sample sessions for ${year}\n`);
 }
 
-function generateRandomArray(min, max, prefix) {
+function generateRandomArray(min, max, prefix, extensions) {
   const count = min + Math.floor(Math.random() * (max - min));
-  return Array.from({ length: count }, (_, i) => `${prefix}_${i}.js`);
+  // All files of one call share an extension, so a session spans one or two languages
+  const extension = extensions[Math.floor(Math.random() * extensions.length)];
+  return Array.from({ length: count }, (_, i) => `${prefix}_${i}${extension}`);
 }
 
 function generateRandomTools(tools, min, max) {
@@ -65,15 +72,6 @@ function generateRandomTools(tools, min, max) {
   );
 }
 
-function generateRandomLanguages(languages, min, max) {
-  const count = min + Math.floor(Math.random() * (max - min));
-  const selected = new Set();
-  while (selected.size < count) {
-    selected.add(languages[Math.floor(Math.random() * languages.length)]);
-  }
-  return Array.from(selected);
-}
-
 // Main demo function
 function runDemo() {
   try {
@@ -0,0 +1,163 @@
+/**
+ * Parse diagnostics for session files
+ *
+ * Malformed lines are skipped rather than failing the run. Each file's
+ * problems are collected (with line numbers) alongside its analyzer state,
+ * so they survive the worker threads and the session cache, and are then
+ * merged into one report for the run.
+ */
+
+// Event types Claude Code writes that the analyzer knows about
+const KNOWN_EVENT_TYPES = new Set([
+  'user',
+  'assistant',
+  'system',
+  'summary',
+  'file-history-snapshot',
+  'queue-operation',
+  'progress',
+  'attachment',
+  'last-prompt'
+]);
+
+// Problems kept per file; the rest are only counted
+const MAX_PROBLEMS_PER_FILE = 20;
+
+/**
+ * Create the diagnostics kept for one session file
+ */
+function createFileDiagnostics() {
+  return {
+    linesRead: 0,
+    problems: [],
+    problemCount: 0,
+    truncated: null,
+    unknownEventTypes: {}
+  };
+}
+
+/**
+ * Record a malformed line
+ *
+ * @param {string} kind - 'invalid-json' or 'not-an-object'
+ */
+function recordProblem(diagnostics, line, kind, message) {
+  diagnostics.problemCount++;
+  if (diagnostics.problems.length < MAX_PROBLEMS_PER_FILE) {
+    diagnostics.problems.push({ line, kind, message });
+  }
+}
+
+/**
+ * Count events whose type the analyzer does not know
+ */
+function checkEventType(diagnostics, event) {
+  const type = typeof event.type === 'string' ? event.type : '(missing)';
+  if (!KNOWN_EVENT_TYPES.has(type)) {
+    diagnostics.unknownEventTypes[type] = (diagnostics.unknownEventTypes[type] || 0) + 1;
+  }
+}
+
+/**
+ * Create the report for a whole run
+ */
+function createDiagnosticsReport() {
+  return {
+    filesChecked: 0,
+    files: [],
+    problemCount: 0,
+    truncatedFiles: 0,
+    unknownEventTypes: {}
+  };
+}
+
+/**
+ * Merge one file's diagnostics into the run report
+ */
+function addFileDiagnostics(report, file, diagnostics) {
+  report.filesChecked++;
+
+  for (const [type, count] of Object.entries(diagnostics.unknownEventTypes)) {
+    report.unknownEventTypes[type] = (report.unknownEventTypes[type] || 0) + count;
+  }
+
+  if (diagnostics.problemCount === 0 && !diagnostics.truncated) return;
+
+  report.problemCount += diagnostics.problemCount;
+  if (diagnostics.truncated) report.truncatedFiles++;
+
+  report.files.push({
+    file,
+    problems: diagnostics.problems,
+    problemCount: diagnostics.problemCount,
+    truncated: diagnostics.truncated
+  });
+}
+
+/**
+ * Whether a run report has malformed or truncated lines
+ */
+function hasProblems(report) {
+  return report.problemCount > 0 || report.truncatedFiles > 0;
+}
+
+/**
+ * One-line summary of a run report
+ */
+function summarizeDiagnostics(report) {
+  const unknownTypes = Object.keys(report.unknownEventTypes).length;
+  const parts = [];
+
+  if (report.problemCount > 0) {
+    parts.push(`${report.problemCount} malformed line${report.problemCount === 1 ? '' : 's'}`);
+  }
+  if (report.truncatedFiles > 0) {
+    parts.push(`${report.truncatedFiles} truncated file${report.truncatedFiles === 1 ? '' : 's'}`);
+  }
+  if (unknownTypes > 0) {
+    parts.push(`${unknownTypes} unknown event type${unknownTypes === 1 ? '' : 's'}`);
+  }
+
+  const files = `${report.filesChecked} session file${report.filesChecked === 1 ? '' : 's'}`;
+  return parts.length > 0 ? `Checked ${files}: ${parts.join(', ')}` : `Checked ${files}: no problems`;
+}
+
+/**
+ * Full report, one line per problem
+ */
+function formatDiagnostics(report) {
+  const lines = [summarizeDiagnostics(report)];
+
+  for (const entry of report.files) {
+    lines.push('', entry.file);
+    for (const problem of entry.problems) {
+      lines.push(`  line ${problem.line}: ${problem.kind} (${problem.message})`);
+    }
+    if (entry.problemCount > entry.problems.length) {
+      lines.push(`  ... and ${entry.problemCount - entry.problems.length} more`);
+    }
+    if (entry.truncated) {
+      lines.push(`  line ${entry.truncated.line}: truncated (${entry.truncated.message})`);
+    }
+  }
+
+  const unknownTypes = Object.entries(report.unknownEventTypes).sort((a, b) => b[1] - a[1]);
+  if (unknownTypes.length > 0) {
+    lines.push('', 'Unknown event types:');
+    unknownTypes.forEach(([type, count]) => lines.push(`  ${type}: ${count}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  createFileDiagnostics,
+  recordProblem,
+  checkEventType,
+  createDiagnosticsReport,
+  addFileDiagnostics,
+  hasProblems,
+  summarizeDiagnostics,
+  formatDiagnostics,
+  KNOWN_EVENT_TYPES
+};
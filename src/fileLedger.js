@@ -0,0 +1,78 @@
+/**
+ * Per-file ledger: how often each file was read, edited and written, in how
+ * many sessions, and how many lines changed in it
+ */
+
+const DEFAULT_HOT_FILES = 5;
+
+/**
+ * Create an empty ledger entry
+ */
+function createFileEntry() {
+  return { reads: 0, edits: 0, writes: 0, sessions: 0, added: 0, removed: 0 };
+}
+
+/**
+ * Add one ledger entry's counts into another
+ */
+function addFileEntry(target, source) {
+  target.reads += source.reads || 0;
+  target.edits += source.edits || 0;
+  target.writes += source.writes || 0;
+  target.added += source.added || 0;
+  target.removed += source.removed || 0;
+  return target;
+}
+
+/**
+ * Hottest files first: most edits and writes, then most lines changed,
+ * then most reads
+ */
+function compareHotFiles(a, b) {
+  return (b.edits + b.writes) - (a.edits + a.writes) ||
+    (b.added + b.removed) - (a.added + a.removed) ||
+    b.reads - a.reads;
+}
+
+/**
+ * Public shape of a ledger entry in the wrapped output
+ */
+function toHotFile(file) {
+  return {
+    path: file.path,
+    project: file.project,
+    reads: file.reads,
+    edits: file.edits,
+    writes: file.writes,
+    sessions: file.sessions,
+    churn: file.added + file.removed
+  };
+}
+
+/**
+ * The hottest files overall
+ *
+ * @param {Object[]} files - Ledger entries with path and project
+ */
+function rankHotFiles(files, limit = DEFAULT_HOT_FILES) {
+  return files.slice().sort(compareHotFiles).slice(0, limit).map(toHotFile);
+}
+
+/**
+ * The hottest files of each project, keyed by project name
+ *
+ * @param {Object[]} files - Ledger entries with path and project
+ */
+function rankHotFilesByProject(files, limit = DEFAULT_HOT_FILES) {
+  const byProject = {};
+  for (const file of files) {
+    const project = file.project || 'unknown';
+    (byProject[project] || (byProject[project] = [])).push(file);
+  }
+
+  return Object.fromEntries(
+    Object.entries(byProject).map(([project, projectFiles]) => [project, rankHotFiles(projectFiles, limit)])
+  );
+}
+
+module.exports = { createFileEntry, addFileEntry, rankHotFiles, rankHotFilesByProject, DEFAULT_HOT_FILES };
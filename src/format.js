@@ -0,0 +1,53 @@
+/**
+ * Formatting shared by the terminal display and the HTML wrapped
+ */
+
+/**
+ * Format an hour of the day (0-23) as 12-hour clock time
+ */
+function formatHour(hour) {
+  if (hour === 0) return '12:00 AM';
+  if (hour === 12) return '12:00 PM';
+  if (hour < 12) return `${hour}:00 AM`;
+  return `${hour - 12}:00 PM`;
+}
+
+/**
+ * Format minutes as hours and minutes
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+/**
+ * Format a dollar amount
+ */
+function formatCurrency(amount) {
+  return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a duration in milliseconds, e.g. 4.2s or 3m 05s
+ */
+function formatLatency(ms) {
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+  return formatDuration(minutes);
+}
+
+/**
+ * Escape text taken from transcripts before it goes into the HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { formatHour, formatDuration, formatCurrency, formatLatency, escapeHtml };
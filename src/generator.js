@@ -2,27 +2,35 @@ const fs = require('fs');
 const path = require('path');
 const DataCollector = require('./collector');
 const WrappedData = require('./models/WrappedData');
+const { ZonedCalendar, resolveTimeZone } = require('./timeZone');
+const { formatHour } = require('./format');
 
 /**
  * Generator for Claude Code Wrapped statistics
  */
 class WrappedGenerator {
-  constructor(year = new Date().getFullYear()) {
+  /**
+   * @param {number} year
+   * @param {Object} options
+   * @param {string} [options.timeZone] - IANA time zone (defaults to config.json, then the system zone)
+   */
+  constructor(year = new Date().getFullYear(), options = {}) {
     this.year = year;
     this.collector = new DataCollector();
+    this.calendar = new ZonedCalendar(resolveTimeZone(options.timeZone));
   }
 
   /**
    * Generate wrapped data for the specified year
    */
   generate() {
-    const sessions = this.collector.getSessionsByYear(this.year);
+    const sessions = this.collector.getSessionsByYear(this.year, this.calendar);
 
     if (sessions.length === 0) {
       throw new Error(`No data found for year ${this.year}`);
     }
 
-    const wrapped = new WrappedData();
+    const wrapped = new WrappedData(this.calendar);
     wrapped.year = this.year;
 
     sessions.forEach(session => {
@@ -335,12 +343,26 @@ class WrappedGenerator {
             </ul>
         </div>` : ''}
 
+        ${stats.topFiles && stats.topFiles.length > 0 ? `
+        <!-- Hot Files -->
+        <div class="slide">
+            <h2 style="margin-bottom: 30px; font-size: 2.5rem;">Hot Files</h2>
+            <ul class="language-list">
+                ${stats.topFiles.slice(0, 5).map((file, i) => `
+                    <li class="language-item">
+                        <span class="language-name">${i + 1}. ${file.path} <small>(${file.project})</small></span>
+                        <span class="language-count">${file.sessions}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>` : ''}
+
         ${stats.mostProductiveHour ? `
         <!-- Most Productive Hour -->
         <div class="slide">
             <div class="stat-card">
                 <h2>You code most at</h2>
-                <div class="number">${this.formatHour(stats.mostProductiveHour.hour)}</div>
+                <div class="number">${formatHour(stats.mostProductiveHour.hour)}</div>
                 <div class="label">${stats.mostProductiveHour.sessions} sessions at this hour</div>
             </div>
         </div>` : ''}
@@ -404,13 +426,6 @@ class WrappedGenerator {
 </body>
 </html>`;
   }
-
-  formatHour(hour) {
-    if (hour === 0) return '12:00 AM';
-    if (hour === 12) return '12:00 PM';
-    if (hour < 12) return `${hour}:00 AM`;
-    return `${hour - 12}:00 PM`;
-  }
 }
 
 module.exports = WrappedGenerator;
@@ -0,0 +1,43 @@
+/**
+ * Git branch classification by naming convention, e.g. feature/login or
+ * fix-crash. A leading owner segment such as alice/feature/login is skipped.
+ */
+
+const MAIN_BRANCHES = new Set(['main', 'master', 'trunk', 'develop', 'development', 'dev']);
+
+const BRANCH_PREFIXES = {
+  feature: ['feature', 'feat'],
+  fix: ['fix', 'bugfix', 'hotfix', 'bug'],
+  chore: ['chore', 'deps'],
+  refactor: ['refactor'],
+  docs: ['docs', 'doc'],
+  test: ['test', 'tests'],
+  release: ['release'],
+  experiment: ['experiment', 'exp', 'spike', 'wip']
+};
+
+const PREFIX_CATEGORIES = {};
+for (const [category, prefixes] of Object.entries(BRANCH_PREFIXES)) {
+  prefixes.forEach(prefix => { PREFIX_CATEGORIES[prefix] = category; });
+}
+
+/**
+ * Category of a branch name: 'main', one of the BRANCH_PREFIXES keys, or
+ * 'other'
+ */
+function classifyBranch(branch) {
+  const lower = branch.toLowerCase();
+  if (MAIN_BRANCHES.has(lower)) return 'main';
+
+  const segments = lower.split('/');
+  for (const segment of segments.slice(0, 2)) {
+    const prefix = segment.split(/[-_]/)[0];
+    if (PREFIX_CATEGORIES[prefix] && (segments.length > 1 || segment !== prefix)) {
+      return PREFIX_CATEGORIES[prefix];
+    }
+  }
+
+  return 'other';
+}
+
+module.exports = { classifyBranch, BRANCH_PREFIXES };
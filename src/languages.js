@@ -0,0 +1,223 @@
+const path = require('path');
+const { getConfigDir, readJSONFile } = require('./config');
+
+/**
+ * Language detection for file paths
+ *
+ * Well-known file names (Dockerfile, go.mod, ...) are matched first, then
+ * the extension. Users can add or override entries in
+ * ~/.claude-code-wrapped/languages.json:
+ *
+ *   { "extensions": { "mdx": "Markdown", "json": null },
+ *     "filenames": { "Justfile": "Just" } }
+ *
+ * A null language stops a file from counting towards any language.
+ */
+
+const DEFAULT_EXTENSIONS = {
+  // JavaScript and friends
+  js: 'JavaScript',
+  mjs: 'JavaScript',
+  cjs: 'JavaScript',
+  jsx: 'JavaScript',
+  ts: 'TypeScript',
+  mts: 'TypeScript',
+  cts: 'TypeScript',
+  tsx: 'TypeScript',
+  vue: 'Vue',
+  svelte: 'Svelte',
+  astro: 'Astro',
+
+  // Web
+  html: 'HTML',
+  htm: 'HTML',
+  css: 'CSS',
+  scss: 'SCSS',
+  sass: 'SCSS',
+  less: 'Less',
+
+  // Systems and compiled
+  c: 'C',
+  h: 'C',
+  cpp: 'C++',
+  cc: 'C++',
+  cxx: 'C++',
+  hpp: 'C++',
+  hh: 'C++',
+  rs: 'Rust',
+  go: 'Go',
+  zig: 'Zig',
+  java: 'Java',
+  kt: 'Kotlin',
+  kts: 'Kotlin',
+  scala: 'Scala',
+  groovy: 'Groovy',
+  gradle: 'Groovy',
+  cs: 'C#',
+  fs: 'F#',
+  swift: 'Swift',
+  m: 'Objective-C',
+  mm: 'Objective-C',
+  dart: 'Dart',
+
+  // Scripting
+  py: 'Python',
+  pyi: 'Python',
+  ipynb: 'Jupyter Notebook',
+  rb: 'Ruby',
+  php: 'PHP',
+  pl: 'Perl',
+  lua: 'Lua',
+  r: 'R',
+  jl: 'Julia',
+  ex: 'Elixir',
+  exs: 'Elixir',
+  erl: 'Erlang',
+  hs: 'Haskell',
+  clj: 'Clojure',
+  ml: 'OCaml',
+  sh: 'Shell',
+  bash: 'Shell',
+  zsh: 'Shell',
+  fish: 'Shell',
+  ps1: 'PowerShell',
+
+  // Infrastructure
+  tf: 'Terraform',
+  tfvars: 'Terraform',
+  hcl: 'HCL',
+  dockerfile: 'Dockerfile',
+  nix: 'Nix',
+  mk: 'Makefile',
+  cmake: 'CMake',
+  bzl: 'Starlark',
+
+  // Data and config
+  sql: 'SQL',
+  graphql: 'GraphQL',
+  gql: 'GraphQL',
+  proto: 'Protocol Buffers',
+  json: 'JSON',
+  jsonc: 'JSON',
+  yaml: 'YAML',
+  yml: 'YAML',
+  toml: 'TOML',
+  xml: 'XML',
+  ini: 'INI',
+  csv: 'CSV',
+
+  // Docs
+  md: 'Markdown',
+  mdx: 'Markdown',
+  rst: 'reStructuredText',
+  tex: 'TeX'
+};
+
+const DEFAULT_FILENAMES = {
+  'Dockerfile': 'Dockerfile',
+  'Containerfile': 'Dockerfile',
+  'Makefile': 'Makefile',
+  'makefile': 'Makefile',
+  'GNUmakefile': 'Makefile',
+  'CMakeLists.txt': 'CMake',
+  'go.mod': 'Go',
+  'go.sum': 'Go',
+  'go.work': 'Go',
+  'Gemfile': 'Ruby',
+  'Rakefile': 'Ruby',
+  'Podfile': 'Ruby',
+  'Vagrantfile': 'Ruby',
+  'Jenkinsfile': 'Groovy',
+  'BUILD': 'Starlark',
+  'BUILD.bazel': 'Starlark',
+  'WORKSPACE': 'Starlark',
+  'Justfile': 'Just',
+  'justfile': 'Just',
+  '.bashrc': 'Shell',
+  '.bash_profile': 'Shell',
+  '.zshrc': 'Shell',
+  '.profile': 'Shell'
+};
+
+// Variants of well-known file names, e.g. Dockerfile.dev or Makefile.am
+const FILENAME_PATTERNS = [
+  [/^(Dockerfile|Containerfile)[.-]/, 'Dockerfile'],
+  [/^(Makefile|makefile|GNUmakefile)\./, 'Makefile']
+];
+
+/**
+ * Default location of the user language file
+ */
+function getLanguagesFile() {
+  return path.join(getConfigDir(), 'languages.json');
+}
+
+/**
+ * Load the language tables: bundled defaults with the user's file merged on
+ * top. Extension keys may be written with or without the leading dot.
+ */
+function loadLanguages(languagesFile = getLanguagesFile()) {
+  const overrides = readJSONFile(languagesFile, {});
+  const extensions = { ...DEFAULT_EXTENSIONS };
+
+  for (const [extension, language] of Object.entries(overrides.extensions || {})) {
+    extensions[extension.replace(/^\./, '').toLowerCase()] = language;
+  }
+
+  return {
+    extensions,
+    filenames: { ...DEFAULT_FILENAMES, ...overrides.filenames }
+  };
+}
+
+class LanguageDetector {
+  /**
+   * @param {Object} languages - Tables from loadLanguages: { extensions, filenames }
+   */
+  constructor(languages = loadLanguages()) {
+    this.extensions = languages.extensions;
+    this.filenames = languages.filenames;
+  }
+
+  /**
+   * Language of a file path, or null if it is not recognised
+   */
+  detect(filePath) {
+    const name = path.basename(filePath);
+
+    if (Object.prototype.hasOwnProperty.call(this.filenames, name)) {
+      return this.filenames[name] || null;
+    }
+
+    for (const [pattern, language] of FILENAME_PATTERNS) {
+      if (pattern.test(name)) return language;
+    }
+
+    // Try the longest extension first, so an entry such as "d.ts" can
+    // override "ts"; a leading dot marks a hidden file, not an extension
+    const lowerName = name.toLowerCase();
+    let dot = lowerName.indexOf('.', 1);
+    while (dot !== -1) {
+      const extension = lowerName.slice(dot + 1);
+      if (Object.prototype.hasOwnProperty.call(this.extensions, extension)) {
+        return this.extensions[extension] || null;
+      }
+      dot = lowerName.indexOf('.', dot + 1);
+    }
+
+    return null;
+  }
+}
+
+let defaultDetector = null;
+
+/**
+ * Language of a file path using the default tables and the user's
+ * languages.json
+ */
+function detectLanguage(filePath) {
+  if (!defaultDetector) defaultDetector = new LanguageDetector();
+  return defaultDetector.detect(filePath);
+}
+
+module.exports = { LanguageDetector, loadLanguages, getLanguagesFile, detectLanguage, DEFAULT_EXTENSIONS, DEFAULT_FILENAMES };
@@ -0,0 +1,172 @@
+/**
+ * Line-level change counting for Edit, MultiEdit and Write tool inputs
+ */
+
+// Above this many line pairs, skip the LCS and treat the changed region as
+// fully rewritten rather than spend seconds on one huge edit
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Split text into lines, ignoring a single trailing newline
+ */
+function splitLines(text) {
+  if (!text) return [];
+
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return lines;
+}
+
+/**
+ * Length of the longest common subsequence of two line arrays
+ */
+function longestCommonSubsequence(a, b) {
+  let previous = new Uint32Array(b.length + 1);
+  let current = new Uint32Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Count lines added and removed when oldText is replaced by newText
+ */
+function countLineChanges(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Trim the unchanged lines at both ends before diffing the middle
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+
+  let common = 0;
+  if (oldMiddle.length > 0 && newMiddle.length > 0 &&
+      oldMiddle.length * newMiddle.length <= MAX_LCS_CELLS) {
+    common = longestCommonSubsequence(oldMiddle, newMiddle);
+  }
+
+  return {
+    added: newMiddle.length - common,
+    removed: oldMiddle.length - common
+  };
+}
+
+/**
+ * Count line changes made by an Edit, MultiEdit or Write tool call.
+ * Returns null for other tools.
+ */
+function countToolLineChanges(toolName, input) {
+  if (!input) return null;
+
+  if (toolName === 'Edit') {
+    return countLineChanges(input.old_string, input.new_string);
+  }
+
+  if (toolName === 'MultiEdit' && Array.isArray(input.edits)) {
+    const total = { added: 0, removed: 0 };
+    for (const edit of input.edits) {
+      const changes = countLineChanges(edit.old_string, edit.new_string);
+      total.added += changes.added;
+      total.removed += changes.removed;
+    }
+    return total;
+  }
+
+  if (toolName === 'Write') {
+    return { added: splitLines(input.content).length, removed: 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Count the lines a structuredPatch (the hunks Claude Code stores with an
+ * edit's result) adds and removes
+ */
+function countPatchLineChanges(hunks) {
+  const total = { added: 0, removed: 0 };
+  for (const hunk of hunks) {
+    for (const line of (hunk && hunk.lines) || []) {
+      if (line.startsWith('+')) total.added++;
+      else if (line.startsWith('-')) total.removed++;
+    }
+  }
+  return total;
+}
+
+/**
+ * The edits of an Edit or MultiEdit call that use replace_all
+ */
+function getReplaceAllEdits(toolName, input) {
+  if (!input) return [];
+  if (toolName === 'Edit') return input.replace_all ? [input] : [];
+  if (toolName === 'MultiEdit' && Array.isArray(input.edits)) {
+    return input.edits.filter(edit => edit && edit.replace_all);
+  }
+  return [];
+}
+
+/**
+ * Count the line changes of a successful edit or write from its result.
+ * The result's structuredPatch is exact, except for a Write that created
+ * the file, whose patch is empty. Without one, the input diff (changes) is
+ * used, with each replace_all edit counted once per occurrence of its
+ * old_string in the original file.
+ *
+ * @param {Object|null} changes - countToolLineChanges of the call's input
+ * @param {Array} replaceAll - getReplaceAllEdits of the call's input
+ * @param {Object} [result] - The event's toolUseResult
+ */
+function countResultLineChanges(changes, replaceAll, result) {
+  if (result && Array.isArray(result.structuredPatch) && result.type !== 'create') {
+    return countPatchLineChanges(result.structuredPatch);
+  }
+
+  const original = result && result.originalFile;
+  if (!changes || typeof original !== 'string') return changes;
+
+  let { added, removed } = changes;
+  for (const edit of replaceAll) {
+    if (!edit.old_string) continue;
+    const extra = original.split(edit.old_string).length - 2;
+    if (extra <= 0) continue;
+
+    const once = countLineChanges(edit.old_string, edit.new_string);
+    added += once.added * extra;
+    removed += once.removed * extra;
+  }
+
+  return { added, removed };
+}
+
+module.exports = {
+  splitLines,
+  countLineChanges,
+  countToolLineChanges,
+  countPatchLineChanges,
+  getReplaceAllEdits,
+  countResultLineChanges
+};
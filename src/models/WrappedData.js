@@ -1,11 +1,19 @@
+const { ZonedCalendar, daysBetween } = require('../timeZone');
+const { createFileEntry, rankHotFiles, rankHotFilesByProject } = require('../fileLedger');
+
 /**
  * Data model for Claude Code Wrapped statistics
  */
 
 class WrappedData {
-  constructor() {
-    this.year = new Date().getFullYear();
+  /**
+   * @param {ZonedCalendar} calendar - Time zone used for daily and hourly buckets
+   */
+  constructor(calendar = new ZonedCalendar()) {
+    this.calendar = calendar;
+    this.year = this.calendar.parts(Date.now()).year;
     this.sessions = [];
+    this.files = {};
     this.stats = {
       totalSessions: 0,
       totalMessages: 0,
@@ -22,6 +30,7 @@ class WrappedData {
       longestStreak: 0,
       currentStreak: 0,
       topFiles: [],
+      topFilesByProject: {},
       topProjects: [],
       mostProductiveDay: null,
       mostProductiveHour: null,
@@ -63,22 +72,35 @@ class WrappedData {
       });
     }
 
+    // Update the per-file ledger. Recorded sessions only list the files
+    // they touched, so each session counts as one edit or write.
+    const project = session.project || 'unknown';
+    const touched = new Set([...(session.filesModified || []), ...(session.filesCreated || [])]);
+    touched.forEach(filePath => {
+      const key = `${project}\0${filePath}`;
+      const file = this.files[key] || (this.files[key] = { path: filePath, project, ...createFileEntry() });
+      if (session.filesCreated && session.filesCreated.includes(filePath)) {
+        file.writes++;
+      } else {
+        file.edits++;
+      }
+      file.sessions++;
+    });
+
     // Update project stats
     if (session.project) {
       this.stats.projectStats[session.project] =
         (this.stats.projectStats[session.project] || 0) + 1;
     }
 
-    // Update daily activity
-    if (session.date) {
-      const day = session.date.split('T')[0];
-      this.stats.dailyActivity[day] = (this.stats.dailyActivity[day] || 0) + 1;
-    }
-
-    // Update hourly activity
+    // Update daily and hourly activity
     if (session.timestamp) {
-      const hour = new Date(session.timestamp).getHours();
+      const { dateKey, hour } = this.calendar.parts(session.timestamp);
+      this.stats.dailyActivity[dateKey] = (this.stats.dailyActivity[dateKey] || 0) + 1;
       this.stats.hourlyActivity[hour] = (this.stats.hourlyActivity[hour] || 0) + 1;
+    } else if (session.date) {
+      const day = session.date.split('T')[0];
+      this.stats.dailyActivity[day] = (this.stats.dailyActivity[day] || 0) + 1;
     }
   }
 
@@ -116,6 +138,10 @@ class WrappedData {
     // Calculate streaks
     this.calculateStreaks();
 
+    // Get hot files
+    this.stats.topFiles = rankHotFiles(Object.values(this.files), 10);
+    this.stats.topFilesByProject = rankHotFilesByProject(Object.values(this.files));
+
     // Get top projects
     this.stats.topProjects = Object.entries(this.stats.projectStats)
       .sort((a, b) => b[1] - a[1])
@@ -135,9 +161,7 @@ class WrappedData {
     let tempStreak = 1;
 
     for (let i = 1; i < dates.length; i++) {
-      const prevDate = new Date(dates[i - 1]);
-      const currDate = new Date(dates[i]);
-      const diffDays = Math.floor((currDate - prevDate) / (1000 * 60 * 60 * 24));
+      const diffDays = daysBetween(dates[i - 1], dates[i]);
 
       if (diffDays === 1) {
         tempStreak++;
@@ -150,9 +174,7 @@ class WrappedData {
     longestStreak = Math.max(longestStreak, tempStreak);
 
     // Check if current streak is active
-    const lastDate = new Date(dates[dates.length - 1]);
-    const today = new Date();
-    const daysSinceLastActivity = Math.floor((today - lastDate) / (1000 * 60 * 60 * 24));
+    const daysSinceLastActivity = daysBetween(dates[dates.length - 1], this.calendar.today());
 
     if (daysSinceLastActivity <= 1) {
       currentStreak = tempStreak;
@@ -233,6 +255,7 @@ class WrappedData {
   toJSON() {
     return {
       year: this.year,
+      timeZone: this.calendar.timeZone,
       stats: this.stats,
       insights: this.getInsights(),
       generatedAt: new Date().toISOString()
@@ -0,0 +1,17 @@
+const { parentPort, workerData } = require('worker_threads');
+const ClaudeCodeParser = require('./claudeCodeParser');
+
+/**
+ * Worker thread that analyzes session files for ClaudeCodeParser's pool
+ */
+
+const parser = new ClaudeCodeParser(workerData);
+
+parentPort.on('message', async ({ filePath, yearFilter, plan }) => {
+  try {
+    const result = await parser.runSessionPlan(filePath, yearFilter, plan);
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: `${filePath}: ${error.message}` });
+  }
+});
@@ -0,0 +1,118 @@
+const path = require('path');
+const { getConfigDir, readJSONFile } = require('./config');
+
+/**
+ * Estimated API cost for Claude Code token usage
+ *
+ * Rates are USD per million tokens. A model id is priced by the longest
+ * table key it contains, so 'claude-sonnet-4-5-20250929' uses the
+ * 'claude-sonnet-4-5' entry and unknown Sonnet releases fall back to 'sonnet'.
+ * Opus 4 and 4.1 are listed by their dated ids: a 'claude-opus-4' key would
+ * also match every later Opus 4.x release at the old rates.
+ */
+
+const DEFAULT_PRICING = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'claude-opus-4-1-20250805': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-opus-4-20250514': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+  'opus': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'haiku': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 }
+};
+
+/**
+ * Default location of the user pricing file
+ */
+function getPricingFile() {
+  return path.join(getConfigDir(), 'pricing.json');
+}
+
+/**
+ * Load the pricing table: bundled defaults with the user's file merged on top.
+ * Entries in the user file may override single rates or add new models.
+ */
+function loadPricing(pricingFile = getPricingFile()) {
+  const pricing = {};
+  for (const [model, rates] of Object.entries(DEFAULT_PRICING)) {
+    pricing[model] = { ...rates };
+  }
+
+  const overrides = readJSONFile(pricingFile, {});
+  for (const [model, rates] of Object.entries(overrides)) {
+    pricing[model] = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, ...pricing[model], ...rates };
+  }
+
+  return pricing;
+}
+
+/**
+ * Round a dollar amount to cents
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class CostEstimator {
+  constructor(pricing = loadPricing()) {
+    this.pricing = pricing;
+    this.ratesCache = {};
+  }
+
+  /**
+   * Find the rates for a model id, or null if it is not priced
+   */
+  getRates(model) {
+    if (model in this.ratesCache) {
+      return this.ratesCache[model];
+    }
+
+    let bestKey = null;
+    for (const key of Object.keys(this.pricing)) {
+      if (model.includes(key) && (!bestKey || key.length > bestKey.length)) {
+        bestKey = key;
+      }
+    }
+
+    this.ratesCache[model] = bestKey ? this.pricing[bestKey] : null;
+    return this.ratesCache[model];
+  }
+
+  /**
+   * Estimate the cost of one model's token counts
+   */
+  estimate(model, usage) {
+    const rates = this.getRates(model);
+    if (!rates) return 0;
+
+    return (
+      (usage.input || 0) * rates.input +
+      (usage.output || 0) * rates.output +
+      (usage.cacheCreation || 0) * rates.cacheWrite +
+      (usage.cacheRead || 0) * rates.cacheRead
+    ) / 1000000;
+  }
+
+  /**
+   * Estimate the cost of a per-model usage map, as { total, byModel }
+   */
+  estimateModelUsage(modelUsage) {
+    const byModel = {};
+    let total = 0;
+
+    for (const [model, usage] of Object.entries(modelUsage)) {
+      byModel[model] = this.estimate(model, usage);
+      total += byModel[model];
+    }
+
+    return { total, byModel };
+  }
+}
+
+module.exports = { CostEstimator, DEFAULT_PRICING, loadPricing, getPricingFile, roundCurrency };
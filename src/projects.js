@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Project identity for Claude Code sessions
+ *
+ * A session's project is derived from the cwd recorded in its events: the
+ * enclosing git repository root when there is one, otherwise the cwd itself.
+ * User aliases can merge several paths into one named project, e.g.
+ *
+ *   "projectAliases": { "api": ["~/work/api", "~/old/api"] }
+ */
+
+/**
+ * Expand a leading ~ to the home directory
+ */
+function expandHome(filePath) {
+  if (filePath === '~') return os.homedir();
+  if (filePath.startsWith('~/')) return path.join(os.homedir(), filePath.slice(2));
+  return filePath;
+}
+
+/**
+ * Shorten a path under the home directory to ~/...
+ */
+function displayPath(filePath) {
+  const home = os.homedir();
+  if (filePath === home) return '~';
+  if (filePath.startsWith(home + path.sep)) return '~' + filePath.slice(home.length);
+  return filePath;
+}
+
+/**
+ * Whether filePath is dir or lies inside it
+ */
+function isWithin(filePath, dir) {
+  return filePath === dir || filePath.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+/**
+ * Path of a file relative to its project root, or shortened with ~ when it
+ * lies outside the project
+ */
+function relativeToProject(filePath, root) {
+  if (root && isWithin(filePath, root) && filePath !== root) {
+    return path.relative(root, filePath);
+  }
+  return displayPath(filePath);
+}
+
+class ProjectResolver {
+  /**
+   * @param {Object} aliases - Project name to a path or list of paths
+   */
+  constructor(aliases = {}) {
+    this.aliases = [];
+    for (const [name, paths] of Object.entries(aliases)) {
+      for (const aliasPath of [].concat(paths)) {
+        this.aliases.push({ name, path: path.resolve(expandHome(aliasPath)) });
+      }
+    }
+
+    // Longest path first so nested aliases win over their parents
+    this.aliases.sort((a, b) => b.path.length - a.path.length);
+    this.gitRoots = new Map();
+  }
+
+  /**
+   * Find the git repository root containing dir, or null. Paths that do
+   * not exist on this machine (e.g. sessions copied from elsewhere) have
+   * none, even if a parent that does exist is a repository. The search
+   * stops below the home directory, so a dotfiles repository there does
+   * not swallow every project under it; an alias can still name ~.
+   */
+  findGitRoot(dir) {
+    if (this.gitRoots.has(dir)) {
+      return this.gitRoots.get(dir);
+    }
+
+    const home = os.homedir();
+    let root = null;
+    let current = fs.existsSync(dir) ? dir : null;
+    while (current && current !== home) {
+      if (fs.existsSync(path.join(current, '.git'))) {
+        root = current;
+        break;
+      }
+      const parent = path.dirname(current);
+      current = parent === current ? null : parent;
+    }
+
+    this.gitRoots.set(dir, root);
+    return root;
+  }
+
+  /**
+   * Find the alias covering filePath, or null
+   */
+  findAlias(filePath) {
+    return this.aliases.find(alias => isWithin(filePath, alias.path)) || null;
+  }
+
+  /**
+   * Resolve a session cwd to { name, root }. name is the key used for
+   * project rankings, root the directory that file paths are relative to.
+   */
+  resolve(cwd) {
+    const resolvedCwd = path.resolve(cwd);
+    const root = this.findGitRoot(resolvedCwd) || resolvedCwd;
+    const alias = this.findAlias(resolvedCwd) || this.findAlias(root);
+
+    return {
+      name: alias ? alias.name : displayPath(root),
+      root
+    };
+  }
+}
+
+module.exports = { ProjectResolver, expandHome, displayPath, relativeToProject };
@@ -2,17 +2,82 @@
 
 const ClaudeCodeParser = require('./claudeCodeParser');
 const TerminalDisplay = require('./terminal-display');
+const { CostEstimator, loadPricing, getPricingFile, roundCurrency } = require('./pricing');
+const { loadConfig } = require('./config');
+const { isBuiltInCommand } = require('./slashCommands');
+const { loadLanguages, getLanguagesFile } = require('./languages');
+const { rankHotFiles, rankHotFilesByProject } = require('./fileLedger');
+const { classifyBranch } = require('./gitBranches');
+const { hasProblems, summarizeDiagnostics, formatDiagnostics } = require('./diagnostics');
+const { resolveTimeZone, daysBetween, WEEKDAYS } = require('./timeZone');
+const { formatHour, formatDuration, formatCurrency, formatLatency, escapeHtml } = require('./format');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+
+/**
+ * Split an MCP tool name such as mcp__github__create_issue into its server
+ * and tool, or return null for built-in tools
+ */
+function parseMcpToolName(name) {
+  if (!name.startsWith('mcp__')) return null;
+
+  const rest = name.slice('mcp__'.length);
+  const separator = rest.indexOf('__');
+  if (separator <= 0) return { server: rest, tool: rest };
+
+  return { server: rest.slice(0, separator), tool: rest.slice(separator + 2) };
+}
+
+/**
+ * Median and 90th percentile (nearest rank) of a list of durations
+ */
+function summarizeDurations(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const percentile = p => sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+  return { median: percentile(50), p90: percentile(90) };
+}
+
+// Edits a week needs before it can count as a week without failed edits
+const CLEAN_WEEK_MIN_EDITS = 10;
 
 /**
  * Generate wrapped from real Claude Code data
  */
 
 class RealWrappedGenerator {
-  constructor(year = new Date().getFullYear()) {
+  /**
+   * @param {number} year
+   * @param {Object} options
+   * @param {string[]} [options.claudeDirs] - Claude data directories (default: CLAUDE_CONFIG_DIR or ~/.claude)
+   * @param {string} [options.pricingFile] - Pricing table merged over the bundled defaults
+   * @param {string} [options.languagesFile] - Language overrides merged over the bundled tables
+   * @param {number} [options.idleThresholdMinutes] - Idle gap that splits work bursts
+   * @param {string} [options.timeZone] - IANA time zone (defaults to config.json, then the system zone)
+   * @param {boolean} [options.cache] - Use the on-disk session cache (default: true)
+   * @param {boolean} [options.rebuildCache] - Discard cached sessions and parse everything again
+   * @param {number} [options.jobs] - Worker threads for parsing (default: one per CPU core)
+   * @param {boolean} [options.strict] - Fail on malformed or truncated session lines
+   * @param {boolean} [options.hideQueries] - Leave search query text out of the report (or config.json hideQueries)
+   */
+  constructor(year = new Date().getFullYear(), options = {}) {
     this.year = year;
-    this.parser = new ClaudeCodeParser();
+    this.config = loadConfig();
+    this.timeZone = resolveTimeZone(options.timeZone);
+    this.costEstimator = new CostEstimator(loadPricing(options.pricingFile || getPricingFile()));
+    this.parser = new ClaudeCodeParser({
+      claudeDirs: options.claudeDirs,
+      costEstimator: this.costEstimator,
+      projectAliases: this.config.projectAliases,
+      languages: loadLanguages(options.languagesFile || getLanguagesFile()),
+      idleThresholdMinutes: options.idleThresholdMinutes || this.config.idleThresholdMinutes,
+      timeZone: this.timeZone,
+      cache: options.cache === false ? null : { rebuild: Boolean(options.rebuildCache) },
+      jobs: options.jobs || os.cpus().length
+    });
+    this.calendar = this.parser.calendar;
+    this.strict = Boolean(options.strict);
+    this.hideQueries = Boolean(options.hideQueries || this.config.hideQueries);
   }
 
   /**
@@ -21,37 +86,243 @@ class RealWrappedGenerator {
   toWrappedFormat(aggregated) {
     const wrapped = {
       year: this.year,
+      timeZone: this.timeZone,
       stats: {
         totalSessions: aggregated.totalSessions,
         totalMessages: aggregated.totalMessages,
         totalFilesModified: aggregated.totalFilesModified,
         totalFilesCreated: aggregated.totalFilesCreated,
         totalFilesAccessed: aggregated.totalFilesAccessed,
+        totalLinesAdded: aggregated.totalLinesAdded,
+        totalLinesRemoved: aggregated.totalLinesRemoved,
+        linesByLanguage: aggregated.linesByLanguage,
         totalToolCalls: Object.values(aggregated.toolUsage).reduce((sum, count) => sum + count, 0),
         toolUsage: aggregated.toolUsage,
+        commandUsage: aggregated.commandUsage,
+        commandCategories: aggregated.commandCategories,
+        testRuns: aggregated.testRuns,
+        slashCommands: aggregated.slashCommands,
+        slashCommandsByProject: aggregated.slashCommandsByProject,
+        toolOutcomes: aggregated.toolOutcomes,
+        toolOutcomesByProject: aggregated.toolOutcomesByProject,
+        toolOutcomesByWeek: aggregated.toolOutcomesByWeek,
+        subagents: aggregated.subagents,
+        sidechain: aggregated.sidechain,
         languageStats: aggregated.languageStats,
         projectStats: aggregated.projectStats,
         dailyActivity: aggregated.dailyActivity,
         hourlyActivity: aggregated.hourlyActivity,
+        weekdayActivity: aggregated.weekdayActivity,
         totalDuration: aggregated.totalDuration,
+        totalActiveDuration: aggregated.totalActiveDuration,
+        totalBursts: aggregated.totalBursts,
         totalThinkingBlocks: aggregated.totalThinkingBlocks,
         totalGitBranches: aggregated.totalGitBranches,
+        ...this.buildBranchReport(aggregated.branchesByProject),
+        topBranchCategory: null,
+        latency: this.buildLatencyReport(aggregated.latency),
+        continuity: aggregated.conversations,
+        compaction: this.buildCompactionReport(aggregated.compaction),
+        todos: this.buildTodoReport(aggregated.todos),
+        research: this.buildResearchReport(aggregated.webResearch),
+        tokenUsage: aggregated.tokenUsage,
+        totalTokens: Object.values(aggregated.tokenUsage).reduce((sum, count) => sum + count, 0),
+        modelUsage: aggregated.modelUsage,
+        estimatedCost: aggregated.cost ? roundCurrency(aggregated.cost.total) : 0,
         longestStreak: 0,
         currentStreak: 0,
         topProjects: [],
+        topFiles: rankHotFiles(Object.values(aggregated.files), 10),
+        topFilesByProject: rankHotFilesByProject(Object.values(aggregated.files)),
         mostProductiveDay: null,
         mostProductiveHour: null,
+        mostProductiveWeekday: null,
         favoriteLanguage: null,
-        mostUsedTool: null
+        mostUsedTool: null,
+        topTools: [],
+        topMcpTools: [],
+        mcpServers: [],
+        mostUsedModel: null,
+        topCommands: [],
+        testRunner: null,
+        topBuiltInCommands: [],
+        topCustomCommands: [],
+        favoriteCommand: null,
+        reliability: null,
+        delegation: null
       }
     };
 
+    if (aggregated.cost) {
+      wrapped.cost = this.buildCostReport(aggregated.cost);
+    }
+
     // Calculate derived stats
     this.calculateDerivedStats(wrapped.stats);
 
     return wrapped;
   }
 
+  /**
+   * Per-project branch lists, most active branch first, and how many
+   * branches fall into each naming category
+   */
+  buildBranchReport(branchesByProject) {
+    const branchCategories = {};
+    const report = {};
+
+    for (const [project, branches] of Object.entries(branchesByProject)) {
+      report[project] = Object.entries(branches)
+        .map(([branch, stats]) => {
+          const category = classifyBranch(branch);
+          branchCategories[category] = (branchCategories[category] || 0) + 1;
+          return { branch, category, ...stats };
+        })
+        .sort((a, b) => b.activeDuration - a.activeDuration || b.sessions - a.sessions);
+    }
+
+    return { branchesByProject: report, branchCategories };
+  }
+
+  /**
+   * Median and p90 time to the first reply and to the end of the turn,
+   * overall and per model and project, in milliseconds
+   */
+  buildLatencyReport(latency) {
+    if (latency.turns.length === 0) return null;
+
+    const summarize = bucket => ({
+      turns: bucket.turns.length,
+      firstReply: summarizeDurations(bucket.responses),
+      turn: summarizeDurations(bucket.turns)
+    });
+    const summarizeAll = buckets => Object.fromEntries(
+      Object.entries(buckets)
+        .sort((a, b) => b[1].turns.length - a[1].turns.length)
+        .map(([key, bucket]) => [key, summarize(bucket)])
+    );
+
+    return {
+      ...summarize(latency),
+      byModel: summarizeAll(latency.byModel),
+      byProject: summarizeAll(latency.byProject),
+      longestTurn: latency.longestTurn
+    };
+  }
+
+  /**
+   * Fetched domains and searches: the top domains overall, per project and
+   * per language, and the most repeated queries unless they are hidden
+   */
+  buildResearchReport(research) {
+    if (research.fetches === 0 && research.searches === 0) return null;
+
+    const rank = (counts, limit) => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([domain, fetches]) => ({ domain, fetches }));
+    const rankEach = (groups, getCounts) => Object.fromEntries(
+      Object.entries(groups)
+        .map(([key, group]) => [key, rank(getCounts(group), 5)])
+        .filter(([, domains]) => domains.length > 0)
+    );
+
+    const projects = Object.entries(research.byProject)
+      .sort((a, b) => (b[1].fetches + b[1].searches) - (a[1].fetches + a[1].searches));
+
+    return {
+      fetches: research.fetches,
+      searches: research.searches,
+      uniqueDomains: Object.keys(research.domains).length,
+      topDomains: rank(research.domains, 10),
+      topDomainsByProject: rankEach(Object.fromEntries(projects), project => project.domains),
+      topDomainsByLanguage: rankEach(research.byLanguage, domains => domains),
+      byProject: Object.fromEntries(projects.map(([project, stats]) =>
+        [project, { fetches: stats.fetches, searches: stats.searches }])),
+      topQueries: this.hideQueries ? null : Object.entries(research.queries)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([query, count]) => ({ query, count })),
+      queriesHidden: this.hideQueries
+    };
+  }
+
+  /**
+   * Tasks planned, completed and abandoned, with completion rates overall
+   * and per project, projects with the most tasks first
+   */
+  buildTodoReport(todos) {
+    if (todos.planned === 0) return null;
+
+    const completionRate = total => Math.round(total.completed / total.planned * 100);
+
+    return {
+      planned: todos.planned,
+      completed: todos.completed,
+      abandoned: todos.abandoned,
+      completionRate: completionRate(todos),
+      sessionsWithTodos: todos.sessionsWithTodos,
+      byProject: Object.fromEntries(
+        Object.entries(todos.byProject)
+          .sort((a, b) => b[1].planned - a[1].planned)
+          .map(([project, total]) => [project, { ...total, completionRate: completionRate(total) }])
+      )
+    };
+  }
+
+  /**
+   * Compaction counts and triggers, the active time between compactions,
+   * and per project the share of sessions that needed compacting, highest
+   * share first
+   */
+  buildCompactionReport(compaction) {
+    if (compaction.compactions === 0) return null;
+
+    const percentOf = (part, whole) => whole > 0 ? Math.round(part / whole * 100) : 0;
+    const byProject = Object.entries(compaction.byProject)
+      .map(([project, stats]) => [project, { ...stats, compactedRate: percentOf(stats.sessionsCompacted, stats.sessions) }])
+      .sort((a, b) => b[1].compactedRate - a[1].compactedRate || b[1].compactions - a[1].compactions);
+    const sessions = Object.values(compaction.byProject).reduce((sum, stats) => sum + stats.sessions, 0);
+
+    return {
+      compactions: compaction.compactions,
+      manual: compaction.manual,
+      auto: compaction.auto,
+      summaries: compaction.summaries,
+      sessionsCompacted: compaction.sessionsCompacted,
+      compactedRate: percentOf(compaction.sessionsCompacted, sessions),
+      averagePreTokens: compaction.manual + compaction.auto > 0
+        ? Math.round(compaction.preTokens / (compaction.manual + compaction.auto))
+        : 0,
+      activeTimeBetween: summarizeDurations(compaction.intervals),
+      byProject: Object.fromEntries(byProject)
+    };
+  }
+
+  /**
+   * Build the cost section of the export, rounded to cents and sorted
+   * with the most expensive models and projects first
+   */
+  buildCostReport(cost) {
+    const byAmount = amounts => Object.fromEntries(
+      Object.entries(amounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, amount]) => [key, roundCurrency(amount)])
+    );
+
+    return {
+      currency: 'USD',
+      total: roundCurrency(cost.total),
+      byModel: byAmount(cost.byModel),
+      byProject: byAmount(cost.byProject),
+      byMonth: Object.fromEntries(
+        Object.keys(cost.byMonth).sort().map(month => [month, roundCurrency(cost.byMonth[month])])
+      ),
+      sessions: cost.sessions.map(session => ({ ...session, cost: roundCurrency(session.cost) })),
+      unpricedModels: cost.unpricedModels
+    };
+  }
+
   /**
    * Calculate derived statistics
    */
@@ -74,6 +345,15 @@ class RealWrappedGenerator {
       }
     }
 
+    // Most productive weekday
+    let maxWeekdayActivity = 0;
+    for (const [weekday, count] of Object.entries(stats.weekdayActivity)) {
+      if (count > maxWeekdayActivity) {
+        maxWeekdayActivity = count;
+        stats.mostProductiveWeekday = { weekday: WEEKDAYS[weekday], sessions: count };
+      }
+    }
+
     // Favorite language
     let maxLangCount = 0;
     for (const [lang, count] of Object.entries(stats.languageStats)) {
@@ -83,15 +363,77 @@ class RealWrappedGenerator {
       }
     }
 
-    // Most used tool
-    let maxToolCount = 0;
-    for (const [tool, count] of Object.entries(stats.toolUsage)) {
-      if (count > maxToolCount) {
-        maxToolCount = count;
-        stats.mostUsedTool = { tool, count };
+    // Built-in and MCP tools are ranked separately
+    const builtInTools = [];
+    const mcpTools = [];
+    const mcpServers = {};
+    for (const [name, count] of Object.entries(stats.toolUsage)) {
+      const mcp = parseMcpToolName(name);
+      if (!mcp) {
+        builtInTools.push({ tool: name, count });
+        continue;
+      }
+
+      mcpTools.push({ ...mcp, count });
+      const server = mcpServers[mcp.server] || (mcpServers[mcp.server] = { server: mcp.server, calls: 0, tools: 0 });
+      server.calls += count;
+      server.tools++;
+    }
+
+    const byCount = (a, b) => b.count - a.count;
+    stats.topTools = builtInTools.sort(byCount).slice(0, 5);
+    stats.topMcpTools = mcpTools.sort(byCount).slice(0, 5);
+    stats.mcpServers = Object.values(mcpServers).sort((a, b) => b.calls - a.calls);
+    stats.mostUsedTool = stats.topTools[0] || null;
+
+    // Most used model
+    let maxModelMessages = 0;
+    for (const [model, usage] of Object.entries(stats.modelUsage)) {
+      if (usage.messages > maxModelMessages) {
+        maxModelMessages = usage.messages;
+        stats.mostUsedModel = {
+          model,
+          messages: usage.messages,
+          tokens: usage.input + usage.output + usage.cacheCreation + usage.cacheRead
+        };
+      }
+    }
+
+    // Top Bash commands
+    stats.topCommands = Object.entries(stats.commandUsage)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([command, count]) => ({ command, count }));
+
+    // Test runner of the year
+    let maxTestRuns = 0;
+    for (const [runner, runs] of Object.entries(stats.testRuns)) {
+      if (runs > maxTestRuns) {
+        maxTestRuns = runs;
+        stats.testRunner = { runner, runs };
       }
     }
 
+    // Slash commands, built-in and custom ranked separately
+    const commands = Object.entries(stats.slashCommands)
+      .sort((a, b) => b[1] - a[1])
+      .map(([command, count]) => ({ command: `/${command}`, count, custom: !isBuiltInCommand(command) }));
+    stats.topBuiltInCommands = commands.filter(command => !command.custom).slice(0, 5);
+    stats.topCustomCommands = commands.filter(command => command.custom).slice(0, 5);
+    stats.favoriteCommand = commands[0] || null;
+
+    // Most common kind of topic branch
+    let maxBranches = 0;
+    for (const [category, branches] of Object.entries(stats.branchCategories)) {
+      if (category !== 'main' && category !== 'other' && branches > maxBranches) {
+        maxBranches = branches;
+        stats.topBranchCategory = { category, branches };
+      }
+    }
+
+    stats.reliability = this.buildReliabilityReport(stats);
+    stats.delegation = this.buildDelegationReport(stats);
+
     // Top projects
     stats.topProjects = Object.entries(stats.projectStats)
       .sort((a, b) => b[1] - a[1])
@@ -102,6 +444,76 @@ class RealWrappedGenerator {
     this.calculateStreaks(stats);
   }
 
+  /**
+   * Summarize tool results: overall success rate, the tools that failed
+   * most often and the weeks in which no edit failed
+   */
+  buildReliabilityReport(stats) {
+    const rate = (part, counts) => {
+      const total = counts.success + counts.error + counts.rejected;
+      return total > 0 ? Math.round(part / total * 1000) / 10 : 0;
+    };
+
+    const totals = { success: 0, error: 0, rejected: 0 };
+    const byTool = Object.entries(stats.toolOutcomes).map(([tool, counts]) => {
+      totals.success += counts.success;
+      totals.error += counts.error;
+      totals.rejected += counts.rejected;
+      return { tool, ...counts, errorRate: rate(counts.error, counts) };
+    });
+
+    const results = totals.success + totals.error + totals.rejected;
+    if (results === 0) return null;
+
+    const byProject = {};
+    for (const [project, counts] of Object.entries(stats.toolOutcomesByProject)) {
+      byProject[project] = { ...counts, successRate: rate(counts.success, counts) };
+    }
+
+    const weeks = Object.keys(stats.toolOutcomesByWeek).sort();
+    const cleanEditWeeks = weeks.filter(week => {
+      const counts = stats.toolOutcomesByWeek[week];
+      return counts.edits >= CLEAN_WEEK_MIN_EDITS && counts.failedEdits === 0;
+    });
+
+    return {
+      ...totals,
+      results,
+      successRate: rate(totals.success, totals),
+      errorRate: rate(totals.error, totals),
+      rejectionRate: rate(totals.rejected, totals),
+      mostErrors: byTool
+        .filter(tool => tool.error > 0)
+        .sort((a, b) => b.error - a.error)
+        .slice(0, 3),
+      byTool: byTool.sort((a, b) =>
+        (b.success + b.error + b.rejected) - (a.success + a.error + a.rejected)),
+      byProject,
+      byWeek: Object.fromEntries(weeks.map(week => [week, stats.toolOutcomesByWeek[week]])),
+      cleanEditWeeks: cleanEditWeeks.length
+    };
+  }
+
+  /**
+   * Summarize work delegated to sub-agents, busiest agent type first
+   */
+  buildDelegationReport(stats) {
+    const byType = Object.entries(stats.subagents)
+      .map(([type, agent]) => ({ type, ...agent }))
+      .sort((a, b) => b.runs - a.runs);
+    const tasks = byType.reduce((sum, agent) => sum + agent.runs, 0);
+
+    if (tasks === 0 && stats.sidechain.messages === 0) return null;
+
+    return {
+      tasks,
+      byType,
+      messages: stats.sidechain.messages,
+      toolCalls: stats.sidechain.toolCalls,
+      tokens: Object.values(stats.sidechain.tokens).reduce((sum, count) => sum + count, 0)
+    };
+  }
+
   /**
    * Calculate coding streaks
    */
@@ -113,9 +525,7 @@ class RealWrappedGenerator {
     let tempStreak = 1;
 
     for (let i = 1; i < dates.length; i++) {
-      const prevDate = new Date(dates[i - 1]);
-      const currDate = new Date(dates[i]);
-      const diffDays = Math.floor((currDate - prevDate) / (1000 * 60 * 60 * 24));
+      const diffDays = daysBetween(dates[i - 1], dates[i]);
 
       if (diffDays === 1) {
         tempStreak++;
@@ -127,10 +537,8 @@ class RealWrappedGenerator {
 
     longestStreak = Math.max(longestStreak, tempStreak);
 
-    // Check if current streak is active
-    const lastDate = new Date(dates[dates.length - 1]);
-    const today = new Date();
-    const daysSinceLastActivity = Math.floor((today - lastDate) / (1000 * 60 * 60 * 24));
+    // Check if current streak is active, judged by today's date in the report's time zone
+    const daysSinceLastActivity = daysBetween(dates[dates.length - 1], this.calendar.today());
 
     let currentStreak = 0;
     if (daysSinceLastActivity <= 1) {
@@ -165,6 +573,16 @@ class RealWrappedGenerator {
       });
     }
 
+    // Lines of code
+    const totalLines = stats.totalLinesAdded + stats.totalLinesRemoved;
+    if (totalLines > 10000) {
+      insights.push({
+        type: 'achievement',
+        title: '🏆 Code Maestro',
+        description: `You modified over ${totalLines.toLocaleString()} lines of code!`
+      });
+    }
+
     // Files
     if (stats.totalFilesModified > 50) {
       insights.push({
@@ -175,8 +593,8 @@ class RealWrappedGenerator {
     }
 
     // Duration
-    if (stats.totalDuration > 60) {
-      const hours = Math.floor(stats.totalDuration / 60);
+    if (stats.totalActiveDuration > 60) {
+      const hours = Math.floor(stats.totalActiveDuration / 60);
       insights.push({
         type: 'achievement',
         title: '⏱️ Time Master',
@@ -184,6 +602,15 @@ class RealWrappedGenerator {
       });
     }
 
+    // Tokens
+    if (stats.totalTokens > 1000000) {
+      insights.push({
+        type: 'achievement',
+        title: '🪙 Token Tycoon',
+        description: `Claude processed ${stats.totalTokens.toLocaleString()} tokens for you!`
+      });
+    }
+
     // Streak insights
     if (stats.longestStreak >= 3) {
       insights.push({
@@ -221,6 +648,46 @@ class RealWrappedGenerator {
       });
     }
 
+    // Reliability
+    const reliability = stats.reliability;
+    if (reliability && reliability.cleanEditWeeks > 0) {
+      insights.push({
+        type: 'badge',
+        title: '✅ Clean Week',
+        description: reliability.cleanEditWeeks === 1
+          ? 'A whole week of edits without a single failure!'
+          : `${reliability.cleanEditWeeks} weeks of edits without a single failure!`
+      });
+    }
+
+    if (reliability && reliability.results >= 500 && reliability.successRate >= 98) {
+      insights.push({
+        type: 'achievement',
+        title: '🛡️ Rock Solid',
+        description: `${reliability.successRate}% of ${reliability.results.toLocaleString()} tool calls succeeded!`
+      });
+    }
+
+    // Tests
+    const totalTestRuns = Object.values(stats.testRuns).reduce((sum, runs) => sum + runs, 0);
+    if (totalTestRuns >= 50) {
+      insights.push({
+        type: 'achievement',
+        title: '🧪 Test Driven',
+        description: `You ran your tests ${totalTestRuns} times!`
+      });
+    }
+
+    // Continuity
+    const longestChain = stats.continuity && stats.continuity.longestChain;
+    if (longestChain && longestChain.files >= 5) {
+      insights.push({
+        type: 'achievement',
+        title: '🔗 Long Haul',
+        description: `You kept one ${longestChain.project} conversation going across ${longestChain.files} sessions!`
+      });
+    }
+
     // Thinking
     if (stats.totalThinkingBlocks > 20) {
       insights.push({
@@ -233,6 +700,22 @@ class RealWrappedGenerator {
     return insights;
   }
 
+  /**
+   * Save wrapped data, including the cost section, as JSON
+   */
+  generateJSON(wrapped, outputPath = './output') {
+    if (!fs.existsSync(outputPath)) {
+      fs.mkdirSync(outputPath, { recursive: true });
+    }
+
+    const jsonFile = path.join(outputPath, `wrapped_${wrapped.year}.json`);
+    const data = { ...wrapped, generatedAt: new Date().toISOString() };
+
+    fs.writeFileSync(jsonFile, JSON.stringify(data, null, 2), 'utf8');
+
+    return jsonFile;
+  }
+
   /**
    * Generate HTML wrapped
    */
@@ -244,7 +727,7 @@ class RealWrappedGenerator {
       fs.mkdirSync(outputPath, { recursive: true });
     }
 
-    const htmlContent = this.createHTMLTemplate(wrapped.year, stats, insights);
+    const htmlContent = this.createHTMLTemplate(wrapped.year, stats, insights, wrapped.cost);
     const htmlFile = path.join(outputPath, `wrapped_${wrapped.year}.html`);
 
     fs.writeFileSync(htmlFile, htmlContent, 'utf8');
@@ -252,7 +735,7 @@ class RealWrappedGenerator {
     return htmlFile;
   }
 
-  createHTMLTemplate(year, stats, insights) {
+  createHTMLTemplate(year, stats, insights, cost = null) {
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -732,13 +1215,91 @@ class RealWrappedGenerator {
             </div>
         </div>
 
+        ${stats.totalLinesAdded + stats.totalLinesRemoved > 0 ? `
+        <!-- Lines of Code -->
+        <div class="slide bg-gradient-2">
+            <div class="content">
+                <div class="stat-prefix">Together you changed</div>
+                <div class="stat-number" data-target="${stats.totalLinesAdded + stats.totalLinesRemoved}">0</div>
+                <div class="stat-label">lines of code</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Lines Added</div>
+                        <div class="grid-number" data-target="${stats.totalLinesAdded}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Lines Removed</div>
+                        <div class="grid-number" data-target="${stats.totalLinesRemoved}">0</div>
+                    </div>
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${stats.totalTokens > 0 ? `
+        <!-- Tokens -->
+        <div class="slide bg-gradient-3">
+            <div class="content">
+                <div class="stat-prefix">Claude processed</div>
+                <div class="stat-number" data-target="${stats.totalTokens}">0</div>
+                <div class="stat-label">tokens this year</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Input</div>
+                        <div class="grid-number" data-target="${stats.tokenUsage.input}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Output</div>
+                        <div class="grid-number" data-target="${stats.tokenUsage.output}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Cache Writes</div>
+                        <div class="grid-number" data-target="${stats.tokenUsage.cacheCreation}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Cache Reads</div>
+                        <div class="grid-number" data-target="${stats.tokenUsage.cacheRead}">0</div>
+                    </div>
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${stats.mostUsedModel ? `
+        <!-- Most Used Model -->
+        <div class="slide bg-gradient-4">
+            <div class="content">
+                <div class="stat-prefix">Your most used model</div>
+                <div class="feature-card">
+                    <div class="stat-number">${escapeHtml(stats.mostUsedModel.model)}</div>
+                    <div class="stat-label">${stats.mostUsedModel.messages.toLocaleString()} responses · ${stats.mostUsedModel.tokens.toLocaleString()} tokens</div>
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${cost && cost.total > 0 ? `
+        <!-- Estimated Cost -->
+        <div class="slide bg-gradient-5">
+            <div class="content">
+                <div class="stat-prefix">Your usage was worth about</div>
+                <div class="stat-number">${formatCurrency(cost.total)}</div>
+                <div class="stat-label">in estimated API costs</div>
+                <ul class="rank-list">
+                    ${Object.entries(cost.byModel).slice(0, 3).map(([model, amount]) => `
+                        <li class="rank-item">
+                            <span class="rank-name">${escapeHtml(model)}</span>
+                            <span class="rank-count">${formatCurrency(amount)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        </div>` : ''}
+
         ${stats.favoriteLanguage ? `
         <!-- Favorite Language -->
         <div class="slide bg-gradient-5">
             <div class="content">
                 <div class="stat-prefix">Your favorite language</div>
                 <div class="feature-card">
-                    <div class="stat-number">${stats.favoriteLanguage.language}</div>
+                    <div class="stat-number">${escapeHtml(stats.favoriteLanguage.language)}</div>
                     <div class="stat-label">Used in ${stats.favoriteLanguage.count} sessions</div>
                 </div>
             </div>
@@ -750,12 +1311,141 @@ class RealWrappedGenerator {
             <div class="content">
                 <div class="stat-prefix">Your favorite tool</div>
                 <div class="feature-card">
-                    <div class="stat-number">${stats.mostUsedTool.tool}</div>
+                    <div class="stat-number">${escapeHtml(stats.mostUsedTool.tool)}</div>
                     <div class="stat-label">Used ${stats.mostUsedTool.count} times</div>
                 </div>
             </div>
         </div>` : ''}
 
+        ${stats.mcpServers && stats.mcpServers.length > 0 ? `
+        <!-- MCP Integrations -->
+        <div class="slide bg-gradient-2">
+            <div class="content">
+                <div class="section-title">Integrations You Relied On</div>
+                <ul class="rank-list">
+                    ${stats.mcpServers.slice(0, 5).map((server, i) => `
+                        <li class="rank-item">
+                            <span><span class="rank-badge">${['🥇','🥈','🥉','4️⃣','5️⃣'][i]}</span><span class="rank-name">${escapeHtml(server.server)}</span></span>
+                            <span class="rank-count">${server.calls}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="stat-label">Top MCP tool: ${escapeHtml(stats.topMcpTools[0].tool)} (${escapeHtml(stats.topMcpTools[0].server)}), used ${stats.topMcpTools[0].count} times</div>
+            </div>
+        </div>` : ''}
+
+        ${stats.research && stats.research.topDomains.length > 0 ? `
+        <!-- Web Research -->
+        <div class="slide bg-gradient-1">
+            <div class="content">
+                <div class="section-title">Where Claude Did Its Research</div>
+                <ul class="rank-list">
+                    ${stats.research.topDomains.slice(0, 5).map((site, i) => `
+                        <li class="rank-item">
+                            <span><span class="rank-badge">${['🥇','🥈','🥉','4️⃣','5️⃣'][i]}</span><span class="rank-name">${escapeHtml(site.domain)}</span></span>
+                            <span class="rank-count">${site.fetches}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="stat-label">${stats.research.fetches} pages fetched from ${stats.research.uniqueDomains} sites, ${stats.research.searches} web searches</div>
+            </div>
+        </div>` : ''}
+
+        ${stats.delegation && stats.delegation.tasks > 0 ? `
+        <!-- Sub-agents -->
+        <div class="slide bg-gradient-3">
+            <div class="content">
+                <div class="stat-prefix">You delegated</div>
+                <div class="stat-number" data-target="${stats.delegation.tasks}">0</div>
+                <div class="stat-label">tasks to sub-agents</div>
+                <ul class="rank-list">
+                    ${stats.delegation.byType.slice(0, 3).map(agent => `
+                        <li class="rank-item">
+                            <span class="rank-name">${escapeHtml(agent.type)}</span>
+                            <span class="rank-count">${agent.runs}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        </div>` : ''}
+
+        ${stats.favoriteCommand ? `
+        <!-- Favorite Slash Command -->
+        <div class="slide bg-gradient-1">
+            <div class="content">
+                <div class="stat-prefix">Your favourite command</div>
+                <div class="feature-card">
+                    <div class="stat-number">${escapeHtml(stats.favoriteCommand.command)}</div>
+                    <div class="stat-label">Typed ${stats.favoriteCommand.count} times${stats.favoriteCommand.custom ? ' · one of your own' : ''}</div>
+                </div>
+                ${stats.topCustomCommands.length > 0 ? `
+                <ul class="rank-list">
+                    ${stats.topCustomCommands.slice(0, 3).map(command => `
+                        <li class="rank-item">
+                            <span class="rank-name">${escapeHtml(command.command)}</span>
+                            <span class="rank-count">${command.count}</span>
+                        </li>
+                    `).join('')}
+                </ul>` : ''}
+            </div>
+        </div>` : ''}
+
+        ${stats.topCommands && stats.topCommands.length > 0 ? `
+        <!-- Top Commands -->
+        <div class="slide bg-gradient-3">
+            <div class="content">
+                <div class="section-title">Top Commands</div>
+                <ul class="rank-list">
+                    ${stats.topCommands.map((command, i) => `
+                        <li class="rank-item">
+                            <span><span class="rank-badge">${['🥇','🥈','🥉','4️⃣','5️⃣'][i]}</span><span class="rank-name">${escapeHtml(command.command)}</span></span>
+                            <span class="rank-count">${command.count}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        </div>` : ''}
+
+        ${stats.testRunner ? `
+        <!-- Test Runner -->
+        <div class="slide bg-gradient-4">
+            <div class="content">
+                <div class="stat-prefix">Your test runner of the year</div>
+                <div class="feature-card">
+                    <div class="stat-number">${escapeHtml(stats.testRunner.runner)}</div>
+                    <div class="stat-label">Ran ${stats.testRunner.runs} times</div>
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${stats.reliability ? `
+        <!-- Reliability -->
+        <div class="slide bg-gradient-5">
+            <div class="content">
+                <div class="stat-prefix">Tool calls that just worked</div>
+                <div class="stat-number">${stats.reliability.successRate}%</div>
+                <div class="stat-label">of ${stats.reliability.results.toLocaleString()} tool calls</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Succeeded</div>
+                        <div class="grid-number" data-target="${stats.reliability.success}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Errors</div>
+                        <div class="grid-number" data-target="${stats.reliability.error}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Rejected by You</div>
+                        <div class="grid-number" data-target="${stats.reliability.rejected}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Weeks Without Failed Edits</div>
+                        <div class="grid-number" data-target="${stats.reliability.cleanEditWeeks}">0</div>
+                    </div>
+                </div>
+            </div>
+        </div>` : ''}
+
         ${stats.topProjects && stats.topProjects.length > 0 ? `
         <!-- Top Projects -->
         <div class="slide bg-gradient-2">
@@ -764,7 +1454,7 @@ class RealWrappedGenerator {
                 <ul class="rank-list">
                     ${stats.topProjects.map((project, i) => `
                         <li class="rank-item">
-                            <span><span class="rank-badge">${['🥇','🥈','🥉','4️⃣','5️⃣'][i]}</span><span class="rank-name">${project.name}</span></span>
+                            <span><span class="rank-badge">${['🥇','🥈','🥉','4️⃣','5️⃣'][i]}</span><span class="rank-name">${escapeHtml(project.name)}</span></span>
                             <span class="rank-count">${project.sessions}</span>
                         </li>
                     `).join('')}
@@ -772,13 +1462,160 @@ class RealWrappedGenerator {
             </div>
         </div>` : ''}
 
+        ${stats.topProjects && stats.topProjects.some(project => stats.topFilesByProject[project.name]) ? `
+        <!-- Hot Files -->
+        <div class="slide bg-gradient-5">
+            <div class="content">
+                <div class="section-title">Hot Files</div>
+                ${stats.topProjects.slice(0, 3).filter(project => stats.topFilesByProject[project.name]).map(project => `
+                <div class="stat-prefix">${escapeHtml(project.name)}</div>
+                <ul class="rank-list">
+                    ${stats.topFilesByProject[project.name].slice(0, 3).map(file => `
+                        <li class="rank-item">
+                            <span class="rank-name">${escapeHtml(file.path)}</span>
+                            <span class="rank-count">${file.edits + file.writes} edits · ${file.churn} lines</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                `).join('')}
+            </div>
+        </div>` : ''}
+
+        ${stats.topBranchCategory ? `
+        <!-- Branches -->
+        <div class="slide bg-gradient-1">
+            <div class="content">
+                <div class="stat-prefix">You worked on</div>
+                <div class="stat-number" data-target="${stats.topBranchCategory.branches}">0</div>
+                <div class="stat-label">${escapeHtml(stats.topBranchCategory.category)} branches</div>
+                <div class="grid">
+                    ${Object.entries(stats.branchCategories).sort((a, b) => b[1] - a[1]).slice(0, 4).map(([category, branches]) => `
+                    <div class="grid-item">
+                        <div class="grid-label">${escapeHtml(category)}</div>
+                        <div class="grid-number" data-target="${branches}">0</div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${stats.latency ? `
+        <!-- Response Times -->
+        <div class="slide bg-gradient-2">
+            <div class="content">
+                <div class="stat-prefix">Your longest single turn took</div>
+                <div class="stat-number">${formatLatency(stats.latency.longestTurn.durationMs)}</div>
+                <div class="stat-label">${escapeHtml(stats.latency.longestTurn.project)}</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Median First Reply</div>
+                        <div class="grid-number">${formatLatency(stats.latency.firstReply.median)}</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">p90 First Reply</div>
+                        <div class="grid-number">${formatLatency(stats.latency.firstReply.p90)}</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Median Turn</div>
+                        <div class="grid-number">${formatLatency(stats.latency.turn.median)}</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">p90 Turn</div>
+                        <div class="grid-number">${formatLatency(stats.latency.turn.p90)}</div>
+                    </div>
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${stats.todos && stats.todos.completed > 0 ? `
+        <!-- Todo Lists -->
+        <div class="slide bg-gradient-1">
+            <div class="content">
+                <div class="stat-prefix">Claude checked off</div>
+                <div class="stat-number" data-target="${stats.todos.completed}">0</div>
+                <div class="stat-label">tasks for you</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Planned</div>
+                        <div class="grid-number" data-target="${stats.todos.planned}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Completed</div>
+                        <div class="grid-number">${stats.todos.completionRate}%</div>
+                    </div>
+                    ${Object.entries(stats.todos.byProject).slice(0, 2).map(([project, total]) => `
+                    <div class="grid-item">
+                        <div class="grid-label">${escapeHtml(project)}</div>
+                        <div class="grid-number">${total.completionRate}%</div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${stats.compaction ? `
+        <!-- Compactions -->
+        <div class="slide bg-gradient-4">
+            <div class="content">
+                <div class="stat-prefix">Claude's context filled up</div>
+                <div class="stat-number" data-target="${stats.compaction.compactions}">0</div>
+                <div class="stat-label">times</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Sessions Compacted</div>
+                        <div class="grid-number">${stats.compaction.compactedRate}%</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Median Time Between</div>
+                        <div class="grid-number">${formatLatency(stats.compaction.activeTimeBetween.median)}</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Auto</div>
+                        <div class="grid-number" data-target="${stats.compaction.auto}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">/compact</div>
+                        <div class="grid-number" data-target="${stats.compaction.manual}">0</div>
+                    </div>
+                </div>
+            </div>
+        </div>` : ''}
+
+        ${stats.continuity && stats.continuity.resumedFiles > 0 ? `
+        <!-- Conversations -->
+        <div class="slide bg-gradient-3">
+            <div class="content">
+                <div class="stat-prefix">You picked up where you left off</div>
+                <div class="stat-number" data-target="${stats.continuity.resumedFiles}">0</div>
+                <div class="stat-label">times</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Conversations</div>
+                        <div class="grid-number" data-target="${stats.continuity.conversations}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Session Files</div>
+                        <div class="grid-number" data-target="${stats.continuity.files}">0</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Resumed</div>
+                        <div class="grid-number">${Math.round(stats.continuity.resumeRate * 100)}%</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Longest Chain</div>
+                        <div class="grid-number" data-target="${stats.continuity.longestChain.files}">0</div>
+                    </div>
+                </div>
+            </div>
+        </div>` : ''}
+
         ${stats.mostProductiveHour ? `
         <!-- Most Productive Hour -->
         <div class="slide bg-gradient-3">
             <div class="content">
                 <div class="stat-prefix">You code most at</div>
                 <div class="feature-card">
-                    <div class="stat-number">${this.formatHour(stats.mostProductiveHour.hour)}</div>
+                    <div class="stat-number">${formatHour(stats.mostProductiveHour.hour)}</div>
                     <div class="stat-label">${stats.mostProductiveHour.sessions} sessions at this hour</div>
                 </div>
             </div>
@@ -789,8 +1626,22 @@ class RealWrappedGenerator {
         <div class="slide bg-gradient-4">
             <div class="content">
                 <div class="stat-prefix">You spent</div>
-                <div class="stat-number" data-target="${Math.floor(stats.totalDuration / 60)}">0</div>
-                <div class="stat-label">hours coding with Claude</div>
+                <div class="stat-number" data-target="${Math.floor(stats.totalActiveDuration / 60)}">0</div>
+                <div class="stat-label">hours actively coding with Claude</div>
+                <div class="grid">
+                    <div class="grid-item">
+                        <div class="grid-label">Active Time</div>
+                        <div class="grid-number">${formatDuration(stats.totalActiveDuration)}</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Wall-Clock Time</div>
+                        <div class="grid-number">${formatDuration(stats.totalDuration)}</div>
+                    </div>
+                    <div class="grid-item">
+                        <div class="grid-label">Work Bursts</div>
+                        <div class="grid-number" data-target="${stats.totalBursts}">0</div>
+                    </div>
+                </div>
             </div>
         </div>` : ''}
 
@@ -802,8 +1653,8 @@ class RealWrappedGenerator {
                 <div class="section-title">Achievements Unlocked</div>
                 ${insights.map(insight => `
                     <div class="achievement-card">
-                        <div class="achievement-title">${insight.title}</div>
-                        <div class="achievement-desc">${insight.description}</div>
+                        <div class="achievement-title">${escapeHtml(insight.title)}</div>
+                        <div class="achievement-desc">${escapeHtml(insight.description)}</div>
                     </div>
                 `).join('')}
             </div>
@@ -946,32 +1797,37 @@ class RealWrappedGenerator {
 </html>`;
   }
 
-  formatHour(hour) {
-    if (hour === 0) return '12:00 AM';
-    if (hour === 12) return '12:00 PM';
-    if (hour < 12) return `${hour}:00 AM`;
-    return `${hour - 12}:00 PM`;
-  }
-
   /**
    * Generate wrapped from real data
    */
-  generate() {
+  async generate() {
     console.log(`\n📊 Analyzing Claude Code sessions for ${this.year}...\n`);
 
-    // Parse all sessions
-    const sessions = this.parser.parseAllSessions(this.year);
+    if (this.parser.claudeDirs.length > 1) {
+      this.parser.claudeDirs.forEach(dir => console.log(`📂 ${dir}`));
+      console.log('');
+    }
 
-    if (sessions.length === 0) {
+    // Parse and aggregate sessions in a single streaming pass
+    const aggregated = await this.parser.aggregateAllSessions(this.year);
+
+    // In strict mode a damaged transcript fails the run before any output
+    if (this.strict && hasProblems(this.parser.diagnostics)) {
+      console.error(formatDiagnostics(this.parser.diagnostics));
+      throw new Error('Session files contain malformed lines (--strict)');
+    }
+
+    if (aggregated.totalSessions === 0) {
       console.error(`\n❌ No Claude Code sessions found for ${this.year}\n`);
       console.log('💡 Tip: Make sure you have used Claude Code this year!\n');
       process.exit(1);
     }
 
-    console.log(`✅ Found ${sessions.length} sessions\n`);
+    console.log(`✅ Found ${aggregated.totalSessions} sessions\n`);
 
-    // Aggregate statistics
-    const aggregated = this.parser.aggregateStats(sessions);
+    if (this.parser.duplicateSessionFiles > 0) {
+      console.log(`🔁 Skipped ${this.parser.duplicateSessionFiles} duplicate copies of sessions found in several directories\n`);
+    }
 
     // Convert to wrapped format
     const wrapped = this.toWrappedFormat(aggregated);
@@ -980,6 +1836,19 @@ class RealWrappedGenerator {
     return wrapped;
   }
 
+  /**
+   * Print the parse diagnostics: one line, or every problem when verbose
+   */
+  reportDiagnostics(verbose = false) {
+    const report = this.parser.diagnostics;
+    if (verbose) {
+      console.log(`\n🩺 ${formatDiagnostics(report)}`);
+    } else {
+      const hint = hasProblems(report) ? ' (run with --diagnostics for details)' : '';
+      console.log(`\n🩺 ${summarizeDiagnostics(report)}${hint}`);
+    }
+  }
+
   /**
    * Display in terminal
    */
@@ -992,25 +1861,139 @@ class RealWrappedGenerator {
   }
 }
 
-// Main function
-function main() {
+function printUsage() {
+  console.log(`
+Claude Code Wrapped - Your Year in Code (from real Claude Code sessions)
+
+Usage:
+  node src/realWrapped.js [year] [options]
+
+Options:
+  --output PATH   Specify output directory (default: ./output)
+  --claude-dir PATH
+                  Claude data directory to read; repeat to merge several machines
+                  (default: CLAUDE_CONFIG_DIR, then ~/.claude)
+  --pricing PATH  Pricing table to use (default: ${getPricingFile()})
+  --languages PATH
+                  Language overrides to use (default: ${getLanguagesFile()})
+  --idle-threshold MINUTES
+                  Gap between events that counts as idle (default: 30)
+  --tz ZONE       IANA time zone for days and hours (default: config, then system)
+  --no-cache      Parse every session file without reading or writing the cache
+  --rebuild-cache Discard the cache and parse every session file again
+  --jobs N        Parse session files on N worker threads (default: CPU cores)
+  --diagnostics   List every malformed line and unknown event type found
+  --strict        Fail instead of skipping malformed or truncated lines
+  --hide-queries  Leave web search query text out of the report
+  --help          Show this help message
+
+Examples:
+  node src/realWrapped.js                          # Generate for current year
+  node src/realWrapped.js 2024                     # Generate for specific year
+  node src/realWrapped.js --pricing ./pricing.json
+  node src/realWrapped.js 2024 --tz America/New_York
+  node src/realWrapped.js --claude-dir ~/.claude --claude-dir ~/backups/devbox/.claude
+  `);
+}
+
+function parseArgs() {
   const args = process.argv.slice(2);
-  const year = args[0] ? parseInt(args[0]) : new Date().getFullYear();
+  const config = {
+    year: new Date().getFullYear(),
+    output: './output',
+    claudeDirs: [],
+    pricingFile: null,
+    languagesFile: null,
+    idleThresholdMinutes: null,
+    timeZone: null,
+    cache: true,
+    rebuildCache: false,
+    jobs: null,
+    diagnostics: false,
+    strict: false,
+    hideQueries: false,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      config.help = true;
+    } else if (arg === '--output') {
+      config.output = args[++i];
+    } else if (arg === '--claude-dir') {
+      config.claudeDirs.push(args[++i]);
+    } else if (arg === '--pricing') {
+      config.pricingFile = args[++i];
+    } else if (arg === '--languages') {
+      config.languagesFile = args[++i];
+    } else if (arg === '--idle-threshold') {
+      config.idleThresholdMinutes = parseFloat(args[++i]);
+    } else if (arg === '--tz') {
+      config.timeZone = args[++i];
+    } else if (arg === '--no-cache') {
+      config.cache = false;
+    } else if (arg === '--rebuild-cache') {
+      config.rebuildCache = true;
+    } else if (arg === '--jobs' || arg === '-j') {
+      config.jobs = parseInt(args[++i]);
+    } else if (arg === '--diagnostics') {
+      config.diagnostics = true;
+    } else if (arg === '--strict') {
+      config.strict = true;
+    } else if (arg === '--hide-queries') {
+      config.hideQueries = true;
+    } else if (!isNaN(arg)) {
+      config.year = parseInt(arg);
+    }
+  }
+
+  return config;
+}
 
-  const generator = new RealWrappedGenerator(year);
-  const wrapped = generator.generate();
+// Main function
+async function main() {
+  const config = parseArgs();
+
+  if (config.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  const generator = new RealWrappedGenerator(config.year, {
+    claudeDirs: config.claudeDirs,
+    pricingFile: config.pricingFile,
+    languagesFile: config.languagesFile,
+    idleThresholdMinutes: config.idleThresholdMinutes,
+    timeZone: config.timeZone,
+    cache: config.cache,
+    rebuildCache: config.rebuildCache,
+    jobs: config.jobs,
+    strict: config.strict,
+    hideQueries: config.hideQueries
+  });
+  const wrapped = await generator.generate();
 
   // Display in terminal
   generator.displayTerminal(wrapped);
+  generator.reportDiagnostics(config.diagnostics);
+
+  // Save JSON export
+  const jsonFile = generator.generateJSON(wrapped, config.output);
+  console.log(`\n✅ JSON export saved to: ${jsonFile}`);
 
   // Generate HTML
-  const htmlFile = generator.generateHTML(wrapped);
-  console.log(`\n✅ HTML wrapped saved to: ${htmlFile}`);
+  const htmlFile = generator.generateHTML(wrapped, config.output);
+  console.log(`✅ HTML wrapped saved to: ${htmlFile}`);
   console.log('💡 Open the HTML file in your browser to see the full Spotify-style visualization!\n');
 }
 
 if (require.main === module) {
-  main();
+  main().catch(error => {
+    console.error(`\n❌ Error: ${error.message}\n`);
+    process.exit(1);
+  });
 }
 
 module.exports = RealWrappedGenerator;
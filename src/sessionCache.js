@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfigDir, readJSONFile } = require('./config');
+
+/**
+ * Persistent cache of per-session analysis results
+ *
+ * Entries hold the analyzer's working state for a session file together with
+ * the file's mtime, size and the byte offset parsing stopped at. An unchanged
+ * file is served from the cache; a file that only grew is resumed from the
+ * stored offset; anything else is parsed again from the start.
+ *
+ * Each entry is a file of its own in the cache directory, read only when its
+ * session file is looked up and written as soon as it is stored, so a run
+ * never loads or rewrites the whole cache. A second, small file per session
+ * file holds its history bounds (first message and last timestamp), which
+ * are looked up for every file before any is parsed.
+ */
+
+// Bytes before the stored offset that must still match for the append-only fast path
+const TAIL_CHECK_BYTES = 64;
+
+/**
+ * Default location of the cache directory
+ */
+function getCacheDir() {
+  return path.join(getConfigDir(), 'cache', 'sessions');
+}
+
+/**
+ * Convert analyzer state to plain JSON, tagging Sets so they can be restored
+ */
+function serializeState(value) {
+  if (value instanceof Set) {
+    return { __set: Array.from(value, serializeState) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeState);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = serializeState(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Inverse of serializeState
+ */
+function deserializeState(value) {
+  if (Array.isArray(value)) {
+    return value.map(deserializeState);
+  }
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.__set)) {
+      return new Set(value.__set.map(deserializeState));
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = deserializeState(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Read the bytes just before offset, used to detect rewritten files
+ */
+function readTail(filePath, offset) {
+  const length = Math.min(TAIL_CHECK_BYTES, offset);
+  if (length === 0) return '';
+
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, offset - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return buffer.toString('base64');
+}
+
+class SessionCache {
+  /**
+   * @param {string} cacheDir
+   * @param {string} fingerprint - Analyzer version and options; entries written with another are ignored
+   * @param {Object} options
+   * @param {boolean} [options.rebuild] - Delete existing entries and write a fresh cache
+   */
+  constructor(cacheDir = getCacheDir(), fingerprint = '', options = {}) {
+    this.cacheDir = cacheDir;
+    this.fingerprint = fingerprint;
+    this.seen = new Set();
+
+    if (options.rebuild) {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Name of the entry file for a session file analyzed with a given year
+   * filter, or of its bounds file
+   */
+  entryName(filePath, yearFilter, suffix = '') {
+    const hash = crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 20);
+    return `${yearFilter || 'all'}-${hash}${suffix}.json`;
+  }
+
+  /**
+   * Read an entry file written for this fingerprint and session file
+   */
+  readEntry(name, filePath) {
+    this.seen.add(name);
+    const entry = readJSONFile(path.join(this.cacheDir, name), null);
+    return entry && entry.fingerprint === this.fingerprint && entry.filePath === filePath ? entry : null;
+  }
+
+  /**
+   * Write an entry file, replacing it in one step
+   */
+  writeEntry(name, entry) {
+    const entryFile = path.join(this.cacheDir, name);
+
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      const tempFile = `${entryFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({ fingerprint: this.fingerprint, ...entry }), 'utf8');
+      fs.renameSync(tempFile, entryFile);
+    } catch (error) {
+      console.error(`Error saving cache entry ${entryFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up the history bounds of an unchanged file, or null
+   */
+  lookupBounds(filePath, yearFilter, stat) {
+    const entry = this.readEntry(this.entryName(filePath, yearFilter, '.bounds'), filePath);
+    return entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs ? entry.bounds : null;
+  }
+
+  /**
+   * Store the history bounds of a file
+   */
+  storeBounds(filePath, yearFilter, stat, bounds) {
+    this.writeEntry(this.entryName(filePath, yearFilter, '.bounds'), {
+      filePath,
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      bounds
+    });
+  }
+
+  /**
+   * Look up a file. Returns { state, offset, complete } where complete means
+   * the file is unchanged, or null when it must be parsed from the start.
+   */
+  lookup(filePath, yearFilter, stat) {
+    const entry = this.readEntry(this.entryName(filePath, yearFilter), filePath);
+    if (!entry) return null;
+
+    if (entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) {
+      return { state: deserializeState(entry.state), offset: entry.offset, complete: true };
+    }
+
+    // Only grew: resume after the last parsed line if the bytes before it are unchanged
+    if (stat.size > entry.size && entry.tail === readTail(filePath, entry.offset)) {
+      return { state: deserializeState(entry.state), offset: entry.offset, complete: false };
+    }
+
+    return null;
+  }
+
+  /**
+   * Write the working state for a file after parsing up to offset
+   */
+  store(filePath, yearFilter, stat, state, offset) {
+    this.writeEntry(this.entryName(filePath, yearFilter), {
+      filePath,
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      offset,
+      tail: readTail(filePath, offset),
+      state: serializeState(state)
+    });
+  }
+
+  /**
+   * Delete entries for files that no longer exist for the given year filter
+   */
+  prune(yearFilter) {
+    if (!fs.existsSync(this.cacheDir)) return;
+
+    const prefix = `${yearFilter || 'all'}-`;
+    for (const name of fs.readdirSync(this.cacheDir)) {
+      if (name.startsWith(prefix) && name.endsWith('.json') && !this.seen.has(name)) {
+        fs.rmSync(path.join(this.cacheDir, name), { force: true });
+      }
+    }
+  }
+}
+
+module.exports = { SessionCache, getCacheDir, serializeState, deserializeState };
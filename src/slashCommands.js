@@ -0,0 +1,52 @@
+/**
+ * Slash command detection for user messages
+ *
+ * Claude Code records an invoked command as
+ * `<command-name>/review</command-name>` in the user message; older logs
+ * and typed commands just start with the command itself.
+ */
+
+const BUILT_IN_COMMANDS = new Set([
+  'add-dir', 'agents', 'bashes', 'bug', 'clear', 'compact', 'config', 'context', 'cost',
+  'doctor', 'exit', 'export', 'feedback', 'help', 'hooks', 'ide', 'init',
+  'install-github-app', 'login', 'logout', 'mcp', 'memory', 'model', 'output-style',
+  'permissions', 'plugin', 'pr-comments', 'privacy-settings', 'release-notes', 'resume',
+  'review', 'rewind', 'sandbox', 'security-review', 'status', 'statusline',
+  'terminal-setup', 'todos', 'upgrade', 'usage', 'vim'
+]);
+
+const COMMAND_NAME_TAG = /<command-name>\s*\/?([^<\s]+)\s*<\/command-name>/;
+const LEADING_COMMAND = /^\/([A-Za-z][\w:.-]*)(?:\s|$)/;
+
+/**
+ * Text of a user message, whose content is a string or a list of blocks
+ */
+function getMessageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (!Array.isArray(message.content)) return '';
+  return message.content
+    .filter(block => block && block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Name of the slash command a user message invokes (without the slash),
+ * or null
+ */
+function parseSlashCommand(message) {
+  const text = getMessageText(message);
+  const match = text.match(COMMAND_NAME_TAG) || text.trimStart().match(LEADING_COMMAND);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a command ships with Claude Code rather than being defined in a
+ * project or user commands directory
+ */
+function isBuiltInCommand(name) {
+  return BUILT_IN_COMMANDS.has(name);
+}
+
+module.exports = { parseSlashCommand, isBuiltInCommand, BUILT_IN_COMMANDS };
@@ -1,3 +1,5 @@
+const { formatHour, formatDuration, formatCurrency, formatLatency } = require('./format');
+
 /**
  * Terminal-based display for Claude Code Wrapped
  * Beautiful CLI visualization of your coding stats
@@ -39,10 +41,58 @@ class TerminalDisplay {
     this.printStat('Files Created', stats.totalFilesCreated, '✨');
     this.wait(500);
 
+    if (stats.totalDuration > 0 && stats.totalActiveDuration !== undefined) {
+      this.printSection('⏱️ Time With Claude');
+      this.printStat('Active Time', formatDuration(stats.totalActiveDuration), '⚡');
+      this.printStat('Wall-Clock Time', formatDuration(stats.totalDuration), '🕰️');
+      this.printStat('Work Bursts', stats.totalBursts, '💥');
+      this.wait(500);
+    }
+
+    if (stats.totalTokens > 0) {
+      this.printSection('🪙 Tokens This Year');
+      this.printStat('Total Tokens', stats.totalTokens, '🧮');
+      this.printStat('Input', stats.tokenUsage.input, '📥');
+      this.printStat('Output', stats.tokenUsage.output, '📤');
+      this.printStat('Cache Writes', stats.tokenUsage.cacheCreation, '💾');
+      this.printStat('Cache Reads', stats.tokenUsage.cacheRead, '♻️');
+      this.wait(500);
+    }
+
+    if (stats.mostUsedModel) {
+      this.printSection('🤖 Most Used Model');
+      this.printHighlight(
+        stats.mostUsedModel.model,
+        `${stats.mostUsedModel.messages.toLocaleString()} responses, ${stats.mostUsedModel.tokens.toLocaleString()} tokens`
+      );
+      this.wait(500);
+    }
+
+    const cost = data.cost;
+    if (cost && cost.total > 0) {
+      this.printSection('💸 Estimated Cost');
+      this.printStat('Total', formatCurrency(cost.total), '💰');
+      Object.entries(cost.byModel).slice(0, 3).forEach(([model, amount]) => {
+        this.printListItem(model, formatCurrency(amount));
+      });
+      if (cost.unpricedModels && cost.unpricedModels.length > 0) {
+        this.printListItem('Not priced', cost.unpricedModels.join(', '));
+      }
+      this.wait(500);
+    }
+
     this.printSection('💻 Code Changes');
     this.printStat('Lines Added', stats.totalLinesAdded, '➕');
     this.printStat('Lines Removed', stats.totalLinesRemoved, '➖');
     this.printStat('Total Lines Changed', stats.totalLinesAdded + stats.totalLinesRemoved, '📈');
+    if (stats.linesByLanguage) {
+      Object.entries(stats.linesByLanguage)
+        .sort((a, b) => (b[1].added + b[1].removed) - (a[1].added + a[1].removed))
+        .slice(0, 3)
+        .forEach(([language, lines]) => {
+          this.printListItem(language, `+${lines.added.toLocaleString()} / -${lines.removed.toLocaleString()}`);
+        });
+    }
     this.wait(500);
 
     if (stats.favoriteLanguage) {
@@ -54,6 +104,94 @@ class TerminalDisplay {
       this.wait(500);
     }
 
+    if (stats.topTools && stats.topTools.length > 0) {
+      this.printSection('🧰 Top Built-in Tools');
+      stats.topTools.forEach((tool, i) => {
+        this.printListItem(`${i + 1}. ${tool.tool}`, `${tool.count} calls`);
+      });
+      this.wait(500);
+    }
+
+    if (stats.mcpServers && stats.mcpServers.length > 0) {
+      this.printSection('🔌 Integrations You Relied On');
+      stats.mcpServers.slice(0, 5).forEach((server, i) => {
+        this.printListItem(`${i + 1}. ${server.server}`, `${server.calls} calls across ${server.tools} tools`);
+      });
+      stats.topMcpTools.slice(0, 3).forEach(tool => {
+        this.printListItem(`${tool.server} › ${tool.tool}`, `${tool.count} calls`);
+      });
+      this.wait(500);
+    }
+
+    if (stats.research) {
+      const research = stats.research;
+      this.printSection('🔎 Where Claude Did Its Research');
+      this.printStat('Pages Fetched', `${research.fetches} from ${research.uniqueDomains} sites`, '🌐');
+      this.printStat('Web Searches', research.searches, '🔍');
+      research.topDomains.slice(0, 5).forEach((site, i) => {
+        this.printListItem(`${i + 1}. ${site.domain}`, `${site.fetches} fetches`);
+      });
+      Object.entries(research.topDomainsByLanguage).slice(0, 3).forEach(([language, sites]) => {
+        this.printListItem(`${language} › ${sites[0].domain}`, `${sites[0].fetches} fetches`);
+      });
+      (research.topQueries || []).slice(0, 3).forEach(query => {
+        this.printListItem(`"${query.query}"`, `${query.count} searches`);
+      });
+      this.wait(500);
+    }
+
+    if (stats.delegation && stats.delegation.tasks > 0) {
+      const delegation = stats.delegation;
+      this.printSection('🤝 Sub-agents');
+      this.printHighlight(
+        `You delegated ${delegation.tasks.toLocaleString()} tasks to sub-agents`,
+        `${delegation.messages.toLocaleString()} messages, ${delegation.toolCalls.toLocaleString()} tool calls, ${delegation.tokens.toLocaleString()} tokens`
+      );
+      delegation.byType.slice(0, 3).forEach(agent => {
+        this.printListItem(agent.type, `${agent.runs} runs, ${agent.tokens.toLocaleString()} tokens`);
+      });
+      this.wait(500);
+    }
+
+    if (stats.favoriteCommand) {
+      this.printSection('⌨️ Your Favourite Command');
+      this.printHighlight(
+        stats.favoriteCommand.command,
+        `Typed ${stats.favoriteCommand.count} times${stats.favoriteCommand.custom ? ' (custom command)' : ''}`
+      );
+      stats.topBuiltInCommands.slice(0, 3).forEach(command => {
+        this.printListItem(command.command, `${command.count} times, built-in`);
+      });
+      stats.topCustomCommands.slice(0, 3).forEach(command => {
+        this.printListItem(command.command, `${command.count} times, custom`);
+      });
+      this.wait(500);
+    }
+
+    if (stats.topCommands && stats.topCommands.length > 0) {
+      this.printSection('🐚 Top Commands');
+      stats.topCommands.forEach((command, i) => {
+        this.printListItem(`${i + 1}. ${command.command}`, `${command.count} runs`);
+      });
+      if (stats.testRunner) {
+        this.printStat('Test Runner of the Year', `${stats.testRunner.runner} (${stats.testRunner.runs} runs)`, '🧪');
+      }
+      this.wait(500);
+    }
+
+    if (stats.reliability) {
+      const reliability = stats.reliability;
+      this.printSection('🛡️ Tool Reliability');
+      this.printStat('Success Rate', `${reliability.successRate}% of ${reliability.results.toLocaleString()} calls`, '✅');
+      this.printStat('Errors', reliability.error, '⚠️');
+      this.printStat('Rejected by You', reliability.rejected, '✋');
+      this.printStat('Weeks Without Failed Edits', reliability.cleanEditWeeks, '🧼');
+      reliability.mostErrors.forEach(tool => {
+        this.printListItem(tool.tool, `${tool.error} errors, ${tool.errorRate}% of calls`);
+      });
+      this.wait(500);
+    }
+
     if (stats.topProjects && stats.topProjects.length > 0) {
       this.printSection('🚀 Top Projects');
       stats.topProjects.forEach((project, i) => {
@@ -62,6 +200,95 @@ class TerminalDisplay {
       this.wait(500);
     }
 
+    if (stats.topFilesByProject && stats.topProjects) {
+      const projects = stats.topProjects.slice(0, 3).filter(project => stats.topFilesByProject[project.name]);
+      if (projects.length > 0) {
+        this.printSection('📂 Hot Files');
+        projects.forEach(project => {
+          console.log(`  ${this.colors.bright}${project.name}${this.colors.reset}`);
+          stats.topFilesByProject[project.name].slice(0, 3).forEach(file => {
+            this.printListItem(`  ${file.path}`, `${file.edits + file.writes} edits, ${file.churn} lines, ${file.sessions} sessions`);
+          });
+        });
+        this.wait(500);
+      }
+    }
+
+    if (stats.branchCategories && stats.totalGitBranches > 0) {
+      this.printSection('🌿 Branches');
+      if (stats.topBranchCategory) {
+        this.printHighlight(
+          `You worked on ${stats.topBranchCategory.branches} ${stats.topBranchCategory.category} branches`,
+          `${stats.totalGitBranches} branches in total`
+        );
+      }
+      Object.entries(stats.branchCategories)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([category, branches]) => {
+          this.printListItem(category, `${branches} branches`);
+        });
+      (stats.topProjects || []).slice(0, 3).forEach(project => {
+        const branch = (stats.branchesByProject[project.name] || [])[0];
+        if (branch) {
+          this.printListItem(`${project.name} › ${branch.branch}`, `${formatDuration(branch.activeDuration)} active, ${branch.sessions} sessions`);
+        }
+      });
+      this.wait(500);
+    }
+
+    if (stats.latency) {
+      const latency = stats.latency;
+      this.printSection('⏳ Response Times');
+      this.printStat('First Reply', `median ${formatLatency(latency.firstReply.median)}, p90 ${formatLatency(latency.firstReply.p90)}`, '💬');
+      this.printStat('Whole Turn', `median ${formatLatency(latency.turn.median)}, p90 ${formatLatency(latency.turn.p90)}`, '🔁');
+      Object.entries(latency.byModel).slice(0, 3).forEach(([model, summary]) => {
+        this.printListItem(model, `turn median ${formatLatency(summary.turn.median)}, p90 ${formatLatency(summary.turn.p90)}`);
+      });
+      this.printHighlight(
+        `Longest single turn: ${formatLatency(latency.longestTurn.durationMs)}`,
+        `${latency.longestTurn.project}${latency.longestTurn.model ? `, ${latency.longestTurn.model}` : ''}`
+      );
+      this.wait(500);
+    }
+
+    if (stats.todos) {
+      const todos = stats.todos;
+      this.printSection('📋 Task Lists');
+      this.printHighlight(
+        `Claude checked off ${todos.completed.toLocaleString()} tasks for you`,
+        `${todos.completionRate}% of ${todos.planned.toLocaleString()} planned, ${todos.abandoned.toLocaleString()} abandoned`
+      );
+      Object.entries(todos.byProject).slice(0, 3).forEach(([project, total]) => {
+        this.printListItem(project, `${total.completionRate}% of ${total.planned} tasks completed`);
+      });
+      this.wait(500);
+    }
+
+    if (stats.compaction) {
+      const compaction = stats.compaction;
+      this.printSection('🗜️ Compactions');
+      this.printStat('Compactions', `${compaction.compactions} (${compaction.auto} auto, ${compaction.manual} /compact)`, '📦');
+      this.printStat('Sessions Compacted', `${compaction.sessionsCompacted} (${compaction.compactedRate}%)`, '📉');
+      this.printStat('Active Time Between', `median ${formatLatency(compaction.activeTimeBetween.median)}, p90 ${formatLatency(compaction.activeTimeBetween.p90)}`, '⏱️');
+      Object.entries(compaction.byProject).slice(0, 3).forEach(([project, entry]) => {
+        this.printListItem(project, `${entry.compactedRate}% of ${entry.sessions} sessions, ${entry.compactions} compactions`);
+      });
+      this.wait(500);
+    }
+
+    if (stats.continuity && stats.continuity.resumedFiles > 0) {
+      const continuity = stats.continuity;
+      const chain = continuity.longestChain;
+      this.printSection('🔗 Conversations');
+      this.printStat('Conversations', `${continuity.conversations} across ${continuity.files} session files`, '💬');
+      this.printStat('Resumed', `${continuity.resumedFiles} times (${Math.round(continuity.resumeRate * 100)}% of sessions)`, '↩️');
+      this.printHighlight(
+        `Longest conversation: ${chain.files} sessions`,
+        `${chain.project}, ${formatDuration(chain.activeDuration)} active`
+      );
+      this.wait(500);
+    }
+
     this.printSection('🔥 Streaks');
     this.printStat('Longest Streak', `${stats.longestStreak} days`, '⚡');
     if (stats.currentStreak > 0) {
@@ -72,9 +299,15 @@ class TerminalDisplay {
     if (stats.mostProductiveHour) {
       this.printSection('⏰ Most Productive Hour');
       this.printHighlight(
-        this.formatHour(stats.mostProductiveHour.hour),
+        formatHour(stats.mostProductiveHour.hour),
         `${stats.mostProductiveHour.sessions} sessions`
       );
+      if (stats.mostProductiveWeekday) {
+        this.printStat('Busiest Weekday', stats.mostProductiveWeekday.weekday, '📅');
+      }
+      if (data.timeZone) {
+        console.log(`${this.colors.dim}  Times shown in ${data.timeZone}${this.colors.reset}`);
+      }
       this.wait(500);
     }
 
@@ -161,16 +394,6 @@ class TerminalDisplay {
     console.log('\n');
   }
 
-  /**
-   * Format hour in 12-hour format
-   */
-  formatHour(hour) {
-    if (hour === 0) return '12:00 AM';
-    if (hour === 12) return '12:00 PM';
-    if (hour < 12) return `${hour}:00 AM`;
-    return `${hour - 12}:00 PM`;
-  }
-
   /**
    * Wait for a specified duration
    */
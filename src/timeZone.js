@@ -0,0 +1,130 @@
+const { loadConfig } = require('./config');
+
+/**
+ * Time zone aware calendar bucketing
+ *
+ * All day, hour, weekday and year buckets go through a ZonedCalendar so that
+ * a late-night session lands on the same local day everywhere in the report.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every UTC offset in use is a multiple of 15 minutes, so all instants in the
+// same 15-minute slot share their calendar parts
+const CACHE_SLOT_MS = 15 * 60 * 1000;
+const MAX_CACHE_SIZE = 10000;
+
+/**
+ * The time zone configured for this machine
+ */
+function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick the time zone to report in: the requested one (e.g. from --tz), then
+ * "timeZone" in config.json, then the system default
+ */
+function resolveTimeZone(requested = null) {
+  const timeZone = requested || loadConfig().timeZone || getSystemTimeZone();
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}" (expected an IANA name such as Europe/Berlin)`);
+  }
+
+  return timeZone;
+}
+
+/**
+ * YYYY-MM-DD key of the Monday starting the week that contains a date
+ */
+function weekStartKey(year, month, day, weekday) {
+  const monday = new Date(Date.UTC(year, month - 1, day) - ((weekday + 6) % 7) * DAY_MS);
+  return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD key to another
+ */
+function daysBetween(fromKey, toKey) {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+}
+
+class ZonedCalendar {
+  constructor(timeZone = getSystemTimeZone()) {
+    this.timeZone = timeZone;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      weekday: 'short'
+    });
+    this.cache = new Map();
+  }
+
+  /**
+   * Calendar parts of a date or timestamp in this time zone:
+   * { year, month, day, hour, weekday, dateKey, weekKey, monthKey }. The
+   * weekKey is the dateKey of the Monday that starts the week.
+   */
+  parts(date) {
+    const time = typeof date === 'number' ? date : new Date(date).getTime();
+    const slot = Math.floor(time / CACHE_SLOT_MS);
+
+    let parts = this.cache.get(slot);
+    if (parts) return parts;
+
+    const fields = {};
+    for (const part of this.formatter.formatToParts(time)) {
+      fields[part.type] = part.value;
+    }
+
+    const year = parseInt(fields.year);
+    const month = parseInt(fields.month);
+    const day = parseInt(fields.day);
+    const weekday = WEEKDAYS.indexOf(fields.weekday);
+
+    parts = {
+      year,
+      month,
+      day,
+      hour: parseInt(fields.hour),
+      weekday,
+      dateKey: `${fields.year}-${fields.month}-${fields.day}`,
+      weekKey: weekStartKey(year, month, day, weekday),
+      monthKey: `${fields.year}-${fields.month}`
+    };
+
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.clear();
+    }
+    this.cache.set(slot, parts);
+
+    return parts;
+  }
+
+  /**
+   * Today's YYYY-MM-DD key in this time zone
+   */
+  today() {
+    return this.parts(Date.now()).dateKey;
+  }
+}
+
+module.exports = { ZonedCalendar, WEEKDAYS, getSystemTimeZone, isValidTimeZone, resolveTimeZone, daysBetween };
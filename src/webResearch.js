@@ -0,0 +1,29 @@
+/**
+ * Helpers for WebFetch and WebSearch tool calls
+ */
+
+/**
+ * Host name of a fetched URL without a leading "www.", or null if the URL
+ * cannot be parsed
+ */
+function getDomain(url) {
+  if (typeof url !== 'string') return null;
+
+  try {
+    const hostname = new URL(url.trim()).hostname.toLowerCase();
+    return hostname ? hostname.replace(/^www\./, '') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize a search query so repeats of the same search count together
+ */
+function normalizeQuery(query) {
+  if (typeof query !== 'string') return null;
+  const normalized = query.trim().replace(/\s+/g, ' ').toLowerCase();
+  return normalized || null;
+}
+
+module.exports = { getDomain, normalizeQuery };
@@ -0,0 +1,95 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * Minimal worker_threads pool
+ *
+ * Each worker handles one task at a time; tasks beyond the pool size wait in
+ * a queue. A worker replies to a task with { result } or { error }.
+ */
+
+class WorkerPool {
+  /**
+   * @param {string} script - Worker entry file
+   * @param {number} size - Maximum number of workers
+   * @param {*} workerData - Passed to every worker on startup
+   */
+  constructor(script, size, workerData) {
+    this.script = script;
+    this.size = size;
+    this.workerData = workerData;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  /**
+   * Run a task on the next free worker
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting new workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      if (this.idle.length === 0 && this.workers.length < this.size) {
+        this.idle.push(this.createWorker());
+      }
+
+      const worker = this.idle.pop();
+      if (!worker) return;
+
+      worker.job = this.queue.shift();
+      worker.postMessage(worker.job.task);
+    }
+  }
+
+  createWorker() {
+    const worker = new Worker(this.script, { workerData: this.workerData });
+
+    worker.on('message', message => {
+      const job = worker.job;
+      worker.job = null;
+      this.idle.push(worker);
+
+      if (message.error) {
+        job.reject(new Error(message.error));
+      } else {
+        job.resolve(message.result);
+      }
+
+      this.dispatch();
+    });
+
+    worker.on('error', error => {
+      // A crashed worker is gone for good; fail its task and let a
+      // replacement pick up the rest of the queue
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      if (worker.job) {
+        worker.job.reject(error);
+        worker.job = null;
+      }
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Stop all workers
+   */
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+module.exports = WorkerPool;
@@ -18,6 +18,7 @@ Options:
   --terminal     Display in terminal only
   --html         Generate HTML only
   --output PATH  Specify output directory (default: ./output)
+  --tz ZONE      IANA time zone for days and hours (default: config, then system)
   --help         Show this help message
 
 Examples:
@@ -25,6 +26,7 @@ Examples:
   node src/wrapped.js 2024               # Generate for specific year
   node src/wrapped.js --terminal         # Display in terminal only
   node src/wrapped.js --html --output ./my-wrapped
+  node src/wrapped.js 2024 --tz Asia/Tokyo
   `);
 }
 
@@ -35,6 +37,7 @@ function parseArgs() {
     terminal: false,
     html: false,
     output: './output',
+    timeZone: null,
     help: false
   };
 
@@ -49,6 +52,8 @@ function parseArgs() {
       config.html = true;
     } else if (arg === '--output') {
       config.output = args[++i];
+    } else if (arg === '--tz') {
+      config.timeZone = args[++i];
     } else if (!isNaN(arg)) {
       config.year = parseInt(arg);
     }
@@ -74,7 +79,7 @@ function main() {
   try {
     console.log(`\n🎉 Generating Claude Code Wrapped for ${config.year}...\n`);
 
-    const generator = new WrappedGenerator(config.year);
+    const generator = new WrappedGenerator(config.year, { timeZone: config.timeZone });
 
     if (config.terminal) {
       const wrapped = generator.generate();